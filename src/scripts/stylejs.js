@@ -1,3 +1,35 @@
+(function (ch) {
+    'use strict';
+
+    /**
+     * Helpers shared by the components.
+     * @memberof ch
+     * @namespace
+     */
+    ch.util = {
+
+        /**
+         * Escapes a value to be safely rendered as HTML.
+         * @memberof ch.util
+         * @function
+         * @param {*} value A given value.
+         * @returns {String}
+         * @example
+         * // Render a text as it is.
+         * el.innerHTML = ch.util.escapeHTML('<b>Bold</b>');
+         */
+        'escapeHTML': function (value) {
+            return String(value === undefined || value === null ? '' : value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+}(this.ch));
+
 (function (window, ch) {
     'use strict';
 
@@ -11,9 +43,23 @@
      * @param {Boolean} [options.arrows] Defines if the arrow-buttons must be created or not at initialization. Default: true.
      * @param {Boolean} [options.pagination] Defines if a pagination must be created or not at initialization. Default: false.
      * @param {Boolean} [options.fx] Enable or disable the slide effect. Default: true.
-     * @param {Boolean} [options.autoHeight] Enable or disable the recalculation of item height on a proportional basis maintaining the proportions of an item. Default: true.
+     * @param {String} [options.orientation] Defines if the pages are laid out from left to right ("horizontal") or from top to bottom ("vertical"). A vertical Carousel takes the height of its element, so the element needs a height. Default: "horizontal".
+     * @param {Boolean} [options.autoHeight] Enable or disable the recalculation of item height (or width when it's vertical) on a proportional basis maintaining the proportions of an item. Default: true.
      * @param {Boolean} [options.autoMargin] Enable or disable the addition of a proportional margin to each item. Default: true.
      * @param {Number} [options.limitPerPage] Set the maximum amount of items to show in each page.
+     * @param {Object} [options.breakpoints] Configuration for each minimum width of the viewport. Each value is the limitPerPage, or an object with limitPerPage, autoMargin and pagination.
+     * @param {Boolean} [options.drag] Enable or disable the navigation by dragging or swiping the list. Default: true.
+     * @param {Boolean} [options.loop] Enable or disable the navigation from the last page to the first one and vice versa. It isn't available with asynchronous items. Default: false.
+     * @param {Boolean} [options.autoplay] Enable or disable the movement to the next page periodically. It pauses while the user interacts with the component or the page is hidden. Default: false.
+     * @param {Number} [options.interval] Time (in milliseconds) between each movement of the autoplay. Default: 5000.
+     * @param {Function} [options.source] A function that receives a page number and the amount of items in each page, and returns a promise for the data of those asynchronous items.
+     * @param {(String | Function)} [options.template] The template to render each item from the source. A string replaces "{{property}}" by the escaped property of the data, a function receives the data and returns the HTML. Default: the data is used as HTML.
+     * @param {String} [options.retryText] Text of the button that loads again the items that failed. Default: the "retry" message of the locale.
+     * @param {String} [options.locale] The name of the locale of the texts, as given to ch.locale. Default: "es".
+     * @param {String} [options.label] Accessible name of the component, used when the element hasn't one. Default: "Carousel".
+     * @param {String} [options.announcement] Message announced to assistive technologies when the page changes. Default: "Page {{page}} of {{pages}}".
+     * @param {Number} [options.lookAhead] Amount of pages before and after the current one whose images are loaded in advance. Only the images with "data-src" or "data-srcset" attributes are loaded lazily, and they need a size to measure the items before they load. Default: 1.
+     * @param {(HTMLElement | ch.Zoom)} [options.thumbnails] Turns the Carousel into a strip of thumbnails that changes the given image, link with image or ch.Zoom. Each item takes the image from its "data-image" attribute, its link or its image, and the zoomed image from its "data-zoom" attribute.
      * @returns {carousel} Returns a new instance of Carousel.
      * @example
      * // Create a new carousel.
@@ -24,6 +70,43 @@
      *     'fx': false
      * });
      * @example
+     * // Create a new Carousel that moves from top to bottom.
+     * var carousel = new ch.Carousel(el, {
+     *     'orientation': 'vertical'
+     * });
+     * @example
+     * // Create a new Carousel with 2, 4 or 6 items per page depending on the width of the viewport.
+     * var carousel = new ch.Carousel(el, {
+     *     'breakpoints': {
+     *         0: 2,
+     *         600: 4,
+     *         1024: {'limitPerPage': 6, 'pagination': true}
+     *     }
+     * });
+     * @example
+     * // Create a new Carousel of thumbnails that changes the image of a Zoom.
+     * var carousel = new ch.Carousel(el, {
+     *     'thumbnails': new ch.Zoom(document.querySelector('#zoom-default'))
+     * }).on('thumbselect', function (index, item) {
+     *     // Some code here!
+     * });
+     * @example
+     * // Create a new Carousel that can't be dragged or swiped.
+     * var carousel = new ch.Carousel(el, {
+     *     'drag': false
+     * });
+     * @example
+     * // Create a new Carousel that goes back to the first page after the last one.
+     * var carousel = new ch.Carousel(el, {
+     *     'loop': true
+     * });
+     * @example
+     * // Create a new Carousel that moves to the next page every 3 seconds.
+     * var carousel = new ch.Carousel(el, {
+     *     'autoplay': true,
+     *     'interval': 3000
+     * });
+     * @example
      * // Create a new Carousel with items asynchronously loaded.
      * var carousel = new ch.Carousel(el, {
      *     'async': 10
@@ -33,6 +116,17 @@
      *         e.innerHTML = 'Content into one of newly inserted <li> elements.';
      *     });
      * });
+     * @example
+     * // Create a new Carousel that renders asynchronous items from a data source.
+     * var carousel = new ch.Carousel(el, {
+     *     'async': 1000,
+     *     'source': function (page, size) {
+     *         return fetch('/similar?page=' + page + '&size=' + size).then(function (response) {
+     *             return response.json();
+     *         });
+     *     },
+     *     'template': '<a href="{{url}}"><img src="{{thumbnail}}" alt="{{title}}"></a>'
+     * });
      */
     function Carousel(el, options) {
         /**
@@ -104,6 +198,135 @@
         return '';
     }());
 
+    /**
+     * Distance (in pixels) that the pointer has to travel before the list starts to be dragged.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var DRAG_THRESHOLD = 5;
+
+    /**
+     * Time (in milliseconds) used to project the speed of the pointer when a drag ends, to give momentum to the list.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var DRAG_MOMENTUM = 250;
+
+    /**
+     * Action of each key that moves the Carousel, by orientation and key code.
+     *
+     * @private
+     * @constant
+     * @type {Object}
+     */
+    var KEYS = {
+        'horizontal': {
+            '35': 'last',
+            '36': 'first',
+            '37': 'prev',
+            '39': 'next'
+        },
+        'vertical': {
+            '35': 'last',
+            '36': 'first',
+            '38': 'prev',
+            '40': 'next'
+        }
+    };
+
+    /**
+     * Selector of the elements that can receive the focus.
+     *
+     * @private
+     * @constant
+     * @type {String}
+     */
+    var FOCUSABLES = 'a[href], area[href], button, input, select, textarea, iframe, [tabindex]';
+
+    /**
+     * Removes from the tab order the elements that can receive the focus inside a given element, or restores them.
+     *
+     * @private
+     * @param {HTMLElement} el A given HTMLElement.
+     * @param {Boolean} focusable Defines if the elements must be in the tab order or not.
+     */
+    function toggleFocusables(el, focusable) {
+        Array.prototype.forEach.call(el.querySelectorAll(FOCUSABLES), function (child) {
+            // The original tabindex is saved while the element is out of the tab order
+            var saved = child.getAttribute('data-tabindex');
+
+            if (focusable && saved !== null) {
+                if (saved === '') {
+                    child.removeAttribute('tabindex');
+                } else {
+                    child.setAttribute('tabindex', saved);
+                }
+                child.removeAttribute('data-tabindex');
+            } else if (!focusable && saved === null) {
+                child.setAttribute('data-tabindex', child.getAttribute('tabindex') || '');
+                child.setAttribute('tabindex', '-1');
+            }
+        });
+    }
+
+    /**
+     * Returns the images that an item shows when it's selected as thumbnail.
+     *
+     * @private
+     * @param {HTMLLIElement} item A given item.
+     * @returns {Object}
+     */
+    function getThumbnailImages(item) {
+        var link = item.querySelector('a[href]'),
+            img = item.querySelector('img'),
+            image = item.getAttribute('data-image') || (link && link.getAttribute('href')) || (img && (img.getAttribute('data-src') || img.getAttribute('src')));
+
+        return {
+            'image': image,
+            'zoom': item.getAttribute('data-zoom') || image,
+            'alt': img && img.getAttribute('alt')
+        };
+    }
+
+    /**
+     * Makes a ch.Zoom measure its images again when they change. ch.Zoom measures them only once, so this relies on its internals, and does nothing when they aren't found.
+     *
+     * @private
+     * @param {zoom} zoom A given ch.Zoom.
+     * @returns {Boolean} Indicates if the ch.Zoom will measure the images again.
+     */
+    function remeasureZoom(zoom) {
+        var onload;
+
+        if (typeof zoom._zoomedLoaded !== 'function' || typeof zoom._originalLoaded !== 'function' || zoom._original === undefined) {
+            return false;
+        }
+
+        // The zoomed image is loaded again on demand
+        zoom._loaded = false;
+        zoom._zoomed = new window.Image();
+        tiny.on(zoom._zoomed, 'load', function () { zoom._zoomedLoaded(); });
+
+        // Calculate again the size of the original image when it changes
+        onload = function () {
+            tiny.off(zoom._original, 'load', onload);
+            zoom._originalLoaded();
+        };
+        tiny.on(zoom._original, 'load', onload);
+
+        return true;
+    }
+
+    /**
+     * Escapes a value to be safely rendered as HTML.
+     * @private
+     */
+    var escapeHTML = ch.util.escapeHTML;
+
     /**
      * The name of the component.
      * @memberof! ch.Carousel.prototype
@@ -129,8 +352,16 @@
         'arrows': true,
         'pagination': false,
         'fx': true,
+        'orientation': 'horizontal',
         'autoHeight': true,
-        'autoMargin': true
+        'autoMargin': true,
+        'drag': true,
+        'loop': false,
+        'autoplay': false,
+        'interval': 5000,
+        'label': 'Carousel',
+        'announcement': 'Page {{page}} of {{pages}}',
+        'lookAhead': 1
     };
 
     /**
@@ -169,6 +400,37 @@
         tiny.addClass(this._el, 'ch-carousel');
         tiny.addClass(this._list, 'ch-carousel-list');
 
+        /**
+         * Defines if the pages are laid out from top to bottom.
+         * @private
+         * @type {Boolean}
+         */
+        this._vertical = (this._options.orientation === 'vertical');
+
+        /**
+         * Dimension in which the list moves: "width", or "height" when it's vertical.
+         * @private
+         * @type {String}
+         */
+        this._size = this._vertical ? 'height' : 'width';
+
+        /**
+         * Dimension across the movement of the list: "height", or "width" when it's vertical.
+         * @private
+         * @type {String}
+         */
+        this._crossSize = this._vertical ? 'width' : 'height';
+
+        if (this._vertical) { tiny.addClass(this._el, 'ch-carousel-vertical'); }
+
+        // WAI-ARIA carousel pattern
+        this._el.setAttribute('role', 'region');
+        this._el.setAttribute('aria-roledescription', 'carousel');
+
+        if (!this._el.hasAttribute('aria-label') && !this._el.hasAttribute('aria-labelledby')) {
+            this._el.setAttribute('aria-label', this._options.label);
+        }
+
         /**
          * Collection of each child of the slider list.
          * @private
@@ -190,32 +452,31 @@
          * @type {HTMLDivElement}
          */
         this._mask = document.createElement('div');
-        this._mask.setAttribute('role', 'tabpanel');
         this._mask.setAttribute('class','ch-carousel-mask');
         this._mask.appendChild(this._list);
 
         this._el.appendChild(this._mask);
 
         /**
-         * Size of the mask (width). Updated in each refresh.
+         * Size of the mask (width, or height when it's vertical). Updated in each refresh.
          * @private
          * @type {Number}
          */
-        this._maskWidth = this._getOuterDimensions(this._mask).width;
+        this._maskWidth = this._getOuterDimensions(this._mask)[this._size];
 
         /**
-         * The width of each item, including paddings, margins and borders. Ideal for make calculations.
+         * The width (or height when it's vertical) of each item, including paddings, margins and borders. Ideal for make calculations.
          * @private
          * @type {Number}
          */
-        this._itemWidth = this._getOuterDimensions(this._items[0]).width;
+        this._itemWidth = this._getOuterDimensions(this._items[0])[this._size];
 
         /**
-         * The width of each item, without paddings, margins or borders. Ideal for manipulate CSS width property.
+         * The width (or height when it's vertical) of each item, without paddings, margins or borders. Ideal for manipulate CSS width property.
          * @private
          * @type {Number}
          */
-        this._itemOuterWidth = parseInt(tiny.css(this._items[0], 'width'));
+        this._itemOuterWidth = parseInt(tiny.css(this._items[0], this._size));
 
         /**
          * The size added to each item to make it elastic/responsive.
@@ -225,11 +486,11 @@
         this._itemExtraWidth = 0;
 
         /**
-         * The height of each item, including paddings, margins and borders. Ideal for make calculations.
+         * The height (or width when it's vertical) of each item, including paddings, margins and borders. Ideal for make calculations.
          * @private
          * @type {Number}
          */
-        this._itemHeight = this._getOuterDimensions(this._items[0]).height;
+        this._itemHeight = this._getOuterDimensions(this._items[0])[this._crossSize];
 
         /**
          * The margin of all items. Updated in each refresh only if it's necessary.
@@ -287,6 +548,52 @@
          */
         this._async = this._options.async;
 
+        /**
+         * Amount of items that aren't asynchronous. The data from the source starts after them.
+         * @private
+         * @type {Number}
+         */
+        this._sourceOffset = this._items.length;
+
+        /**
+         * Data received from the source, saved by the position of each asynchronous item.
+         * @private
+         * @type {Array}
+         */
+        this._sourceCache = [];
+
+        /**
+         * Requests to the source in progress, saved by page and size.
+         * @private
+         * @type {Object}
+         */
+        this._sourceRequests = {};
+
+        /**
+         * Copies of the items on the first and last pages that allow to loop without a visible jump. It's empty when the Carousel doesn't loop.
+         * @private
+         * @type {Array}
+         */
+        this._clones = [];
+
+        /**
+         * Position of the only item that is in the tab order (roving tabindex). Updated in each page change.
+         * @private
+         * @type {Number}
+         */
+        this._activeItem = 0;
+
+        /**
+         * Element that announces the page changes to assistive technologies.
+         * @private
+         * @type {HTMLDivElement}
+         */
+        this._live = document.createElement('div');
+        this._live.setAttribute('aria-live', 'polite');
+        this._live.setAttribute('aria-atomic', 'true');
+        this._live.setAttribute('class', 'ch-carousel-live');
+        this._el.appendChild(this._live);
+
         /**
          * UI element of arrow that moves the Carousel to the previous page.
          * @private
@@ -327,17 +634,40 @@
             if (page !== null) { that.select(window.parseInt(page, 10)); }
         }, false);
 
+        // Load again the asynchronous items that failed
+        tiny.on(this._list, pointertap, function (event) {
+            if (tiny.hasClass(event.target, 'ch-carousel-retry')) { that._loadSourceItems(true); }
+        }, false);
+
         // Refresh calculation when the viewport resizes
-        ch.viewport.on('resize', function () { that.refresh(); });
+        ch.viewport.on('resize', function () {
+            that._updateBreakpoint();
+            that.refresh();
+        });
+
+        // Take the configuration of the current breakpoint
+        this._updateBreakpoint();
 
         // If efects aren't needed, avoid transition on list
         if (!this._options.fx) { tiny.addClass(this._list, 'ch-carousel-nofx'); }
 
         // Position absolutelly the list when CSS transitions aren't supported
         if (!tiny.support.transition) {
-            this._list.style.cssText += 'position:absolute;left:0;';
+            this._list.style.cssText += 'position:absolute;' + (this._vertical ? 'top' : 'left') + ':0;';
         }
 
+        // Allow to move between pages by dragging or swiping the list
+        if (this._options.drag) { this._addDrag(); }
+
+        // Allow to move between pages and items from the keyboard
+        this._addKeyboard();
+
+        // Change the image of the target when a thumbnail is selected
+        if (this._options.thumbnails !== undefined) { this._addThumbnails(); }
+
+        // Load the images only when their pages are about to be visible
+        this._addLazyLoad();
+
         // If there is a parameter specifying a pagination, add it
         if (this._options.pagination) { this._addPagination(); }
 
@@ -353,6 +683,9 @@
         // Update the margin between items and its size
         this._updateDistribution();
 
+        // Move to the next page periodically
+        if (this._options.autoplay) { this.play(); }
+
         return this;
     };
 
@@ -371,9 +704,16 @@
         var that = this,
             // Amount of items when ARIA is updated
             total = this._items.length + this._async,
+            // Position of the first item on the current page
+            first = (this._currentPage - 1) * this._limitPerPage,
             // Page where each item is in
             page;
 
+        // Keep the focusable item into the current page
+        if (this._activeItem < first || this._activeItem >= first + this._limitPerPage) {
+            this._activeItem = Math.min(first, this._items.length - 1);
+        }
+
         // Update WAI-ARIA properties on all items
         Array.prototype.forEach.call(this._items, function (item, i) {
             // Update page where this item is in
@@ -383,10 +723,87 @@
             item.setAttribute('aria-setsize', total);
             item.setAttribute('aria-posinset', (i + 1));
             item.setAttribute('aria-label', 'page' + page);
+            // Only one item is in the tab order, and nothing inside the hidden pages
+            item.setAttribute('tabindex', (i === that._activeItem) ? '0' : '-1');
+            toggleFocusables(item, page === that._currentPage);
         });
 
     };
 
+    /**
+     * Applies the configuration of the breakpoint that fits the width of the viewport, and refreshes the component when the breakpoint changes.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._updateBreakpoint = function () {
+
+        var breakpoints = this._options.breakpoints,
+            width = ch.viewport.width,
+            // Is the first time, before any calculation
+            initial = (this._breakpointDefaults === undefined),
+            breakpoint,
+            settings,
+            min;
+
+        // Update only when there are breakpoints
+        if (breakpoints === undefined) { return; }
+
+        /**
+         * Configuration given by the user, used when a breakpoint doesn't define some of its properties.
+         * @private
+         * @type {Object}
+         */
+        this._breakpointDefaults = this._breakpointDefaults || {
+            'limitPerPage': this._options.limitPerPage,
+            'autoMargin': this._options.autoMargin,
+            'pagination': this._options.pagination
+        };
+
+        // Get the greatest breakpoint that fits the viewport
+        for (min in breakpoints) {
+            if (breakpoints.hasOwnProperty(min) && Number(min) <= width && (breakpoint === undefined || Number(min) > breakpoint)) {
+                breakpoint = Number(min);
+            }
+        }
+
+        // Update ONLY IF breakpoint changed from last refresh
+        if (!initial && breakpoint === this._breakpoint) { return; }
+
+        /**
+         * The minimum width of the breakpoint currently applied.
+         * @private
+         * @type {Number}
+         */
+        this._breakpoint = breakpoint;
+
+        settings = (breakpoint === undefined) ? {} : breakpoints[breakpoint];
+
+        // A number is the limit of items per page
+        if (typeof settings === 'number') {
+            settings = {'limitPerPage': settings};
+        }
+
+        ['limitPerPage', 'autoMargin', 'pagination'].forEach(function (name) {
+            this._options[name] = settings.hasOwnProperty(name) ? settings[name] : this._breakpointDefaults[name];
+        }, this);
+
+        // The first time, the initialization makes all the calculations
+        if (initial) { return; }
+
+        // Force all the calculations, even if the width of the mask is the same
+        this._maskWidth = 0;
+        this._itemExtraWidth = 0;
+        this.refresh();
+
+        // Show or hide the pagination
+        if (this._options.pagination) {
+            this._addPagination();
+        } else {
+            this._removePagination();
+        }
+    };
+
     /**
      * Adds items when page/pages needs to load it asynchronously.
      * @memberof! ch.Carousel.prototype
@@ -399,7 +816,8 @@
         if (this._async === 0) { return; }
 
         // Amount of items from the beginning to current page
-        var total = this._currentPage * this._limitPerPage,
+        // Add the next page too when there is a source, to have it loaded before the user gets there
+        var total = (this._currentPage + (this._options.source !== undefined ? 1 : 0)) * this._limitPerPage,
             // How many items needs to add to items rendered to complete to this page
             amount = total - this._items.length,
             // The new width calculated from current width plus extraWidth
@@ -410,9 +828,9 @@
             item = [
                 '<li',
                 ' class="ch-carousel-item"',
-                ' style="width:' + (width % 1 === 0 ? width : width.toFixed(4)) + 'px;',
-                (this._options.autoHeight ? 'height:' + height + 'px;' : ''),
-                (this._options.autoMargin ? 'margin-right:' + (this._itemMargin % 1 === 0 ? this._itemMargin : this._itemMargin.toFixed(4)) + 'px"' : '"'),
+                ' style="' + this._size + ':' + (width % 1 === 0 ? width : width.toFixed(4)) + 'px;',
+                (this._options.autoHeight ? this._crossSize + ':' + height + 'px;' : ''),
+                (this._options.autoMargin ? 'margin-' + (this._vertical ? 'bottom' : 'right') + ':' + (this._itemMargin % 1 === 0 ? this._itemMargin : this._itemMargin.toFixed(4)) + 'px"' : '"'),
                 '></li>'
             ].join(''),
             // It stores <LI> that will be added to the DOM collection
@@ -444,7 +862,7 @@
         this._updateARIA();
 
         // Update amount of items to add asynchronously
-        this._async -= amount;
+        this._async -= counter;
 
         /**
          * Event emitted when the component creates new asynchronous empty items.
@@ -464,78 +882,357 @@
     };
 
     /**
-     * Creates the pagination of the component.
+     * Renders the asynchronous items of the current and next pages with the data from the source, requesting the data that isn't saved yet.
      * @memberof! ch.Carousel.prototype
      * @private
      * @function
+     * @param {Boolean} [retry] Request again the data of the items that failed.
      */
-    Carousel.prototype._addPagination = function () {
-        // Remove the current pagination if it's necessary to create again
-        if (this._paginationCreated) {
-            this._removePagination();
+    Carousel.prototype._loadSourceItems = function (retry) {
+
+        // Load only when there is a source to get data from
+        if (this._options.source === undefined) { return; }
+
+        var limit = this._limitPerPage,
+            // From the first item of the current page to the last item of the next page
+            i = Math.max((this._currentPage - 1) * limit, this._sourceOffset),
+            end = Math.min((this._currentPage + 1) * limit, this._items.length),
+            // Position of the item into the data of the source
+            index,
+            item;
+
+        for (i; i < end; i += 1) {
+            index = i - this._sourceOffset;
+            item = this._items[i];
+
+            // Render the saved data only once
+            if (this._sourceCache[index] !== undefined) {
+                if (item.getAttribute('data-rendered') === null) { this._renderSourceItem(item, index); }
+
+            // Avoid to request again the failed items until the user asks for it
+            } else if (retry || !tiny.hasClass(item, 'ch-carousel-item-error')) {
+                this._requestSourcePage(Math.floor(index / limit) + 1, limit);
+            }
         }
+    };
 
+    /**
+     * Requests a page of data to the source and updates the state of its items.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Number} page The page to request, counting only the asynchronous items.
+     * @param {Number} size The amount of items on each page.
+     */
+    Carousel.prototype._requestSourcePage = function (page, size) {
         /**
          * Reference to context of an instance.
          * @type {Object}
          * @private
          */
         var that = this,
-            thumbs = [],
-            page = that._pages,
-            isSelected;
+            key = page + '/' + size,
+            first = (page - 1) * size,
+            // The first item of the page that isn't rendered yet
+            pending = first;
 
-        // Generate a thumbnail for each page on Carousel
-        while (page) {
-            // Determine if this thumbnail is selected or not
-            isSelected = (page === that._currentPage);
-            // Add string to collection
-            thumbs.unshift(
-                '<span',
-                ' role="button"',
-                ' aria-selected="' + isSelected + '"',
-                ' aria-controls="page' + page + '"',
-                ' data-page="' + page + '"',
-                ' class="' + (isSelected ? 'ch-carousel-selected' : '') + '"',
-                '>' + page + '</span>'
-            );
+        // Avoid to request the same page twice at the same time
+        if (this._sourceRequests[key]) { return; }
 
-            page -= 1;
+        this._sourceRequests[key] = true;
+
+        // Change the state of the items of the page that aren't loaded yet
+        function setState(state) {
+            var i = first,
+                item;
+
+            for (i; i < first + size; i += 1) {
+                item = that._items[i + that._sourceOffset];
+
+                if (item !== undefined && that._sourceCache[i] === undefined) {
+                    that._setItemState(item, state);
+                }
+            }
         }
 
-        // Append thumbnails to pagination and append this to Carousel
-        that._pagination.innerHTML = thumbs.join('');
-        that._el.appendChild(that._pagination);
+        // Show the items that couldn't be loaded or rendered with the retry button
+        function fail(error) {
+            var i = pending;
 
-        // Avoid selection on the pagination
-        that._pagination.setAttribute('unselectable', 'on');
-        tiny.addClass(that._pagination, 'ch-user-no-select');
+            delete that._sourceRequests[key];
 
-        // Check pagination as created
-        that._paginationCreated = true;
-    };
+            // The data of the items that failed to render is requested again on retry
+            for (i; i < first + size; i += 1) {
+                delete that._sourceCache[i];
+            }
 
-    /**
-     * Deletes the pagination from the component.
-     * @memberof! ch.Carousel.prototype
-     * @private
-     * @function
-     */
-    Carousel.prototype._removePagination = function () {
-        // Avoid to change something that not exists
-        if (!this._paginationCreated) { return; }
-        // Delete thumbnails
-        this._pagination.innerHTML = '';
-        // Check pagination as deleted
-        this._paginationCreated = false;
-    };
+            setState('error');
 
-    /**
-     * It stops the slide effect while the list moves.
-     * @memberof! ch.Carousel.prototype
-     * @private
-     * @function
-     * @param {Function} callback A function to execute after disable the effects.
+            /**
+             * Event emitted when the source fails to give a page of data, or its items fail to render.
+             * @event ch.Carousel#itemserror
+             * @example
+             * // Subscribe to "itemserror" event.
+             * carousel.on('itemserror', function (error, page) {
+             *     // Some code here!
+             * });
+             */
+            that.emit('itemserror', error, page);
+        }
+
+        setState('loading');
+
+        // A source that throws is handled like a source that rejects
+        window.Promise.resolve().then(function () {
+            return that._options.source.call(that, page, size);
+
+        }).then(function (data) {
+            var i = 0;
+
+            // Items without data from the source are rendered empty
+            for (i; i < size; i += 1) {
+                that._sourceCache[first + i] = (data && data[i] !== undefined) ? data[i] : null;
+
+                if (that._items[first + i + that._sourceOffset] !== undefined) {
+                    that._renderSourceItem(that._items[first + i + that._sourceOffset], first + i);
+                }
+
+                pending = first + i + 1;
+            }
+
+            return data;
+
+        }).then(function (data) {
+
+            delete that._sourceRequests[key];
+
+            // The rendered items could have images to load
+            that._loadImages();
+
+            /**
+             * Event emitted when the component receives a page of data from the source.
+             * @event ch.Carousel#itemsload
+             * @example
+             * // Subscribe to "itemsload" event.
+             * carousel.on('itemsload', function (data, page) {
+             *     // Some code here!
+             * });
+             */
+            that.emit('itemsload', data, page);
+
+        // An error of the template, the images or the listeners is handled like an error of the source
+        }).catch(fail);
+    };
+
+    /**
+     * Renders an asynchronous item with its data from the source.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {HTMLLIElement} item The item to render.
+     * @param {Number} index The position of the item into the data of the source.
+     */
+    Carousel.prototype._renderSourceItem = function (item, index) {
+        var data = this._sourceCache[index],
+            template = this._options.template;
+
+        this._setItemState(item);
+
+        if (data === null) {
+            item.innerHTML = '';
+        } else if (typeof template === 'function') {
+            item.innerHTML = template.call(this, data, index);
+        } else if (typeof template === 'string') {
+            item.innerHTML = template.replace(/\{\{(\w+)\}\}/g, function (match, property) {
+                return escapeHTML(data[property]);
+            });
+        } else {
+            item.innerHTML = data;
+        }
+
+        item.setAttribute('data-rendered', 'true');
+    };
+
+    /**
+     * Shows the loading and error states of an asynchronous item.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {HTMLLIElement} item The item to update.
+     * @param {String} [state] "loading" or "error". Without state, the item is ready.
+     */
+    Carousel.prototype._setItemState = function (item, state) {
+        tiny.removeClass(item, 'ch-carousel-item-loading');
+        tiny.removeClass(item, 'ch-carousel-item-error');
+        item.removeAttribute('aria-busy');
+
+        if (state === 'loading') {
+            tiny.addClass(item, 'ch-carousel-item-loading');
+            item.setAttribute('aria-busy', 'true');
+            item.innerHTML = '<span class="ch-loading ch-loading-centered"></span>';
+        } else if (state === 'error') {
+            tiny.addClass(item, 'ch-carousel-item-error');
+            item.innerHTML = '<button type="button" class="ch-carousel-retry ch-btn-skin ch-btn-small">' + (this._options.retryText || ch.locale.message(this._options.locale, 'retry')) + '</button>';
+        }
+    };
+
+    /**
+     * Creates the pagination of the component.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._addPagination = function () {
+        // Remove the current pagination if it's necessary to create again
+        if (this._paginationCreated) {
+            this._removePagination();
+        }
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            thumbs = [],
+            page = that._pages,
+            isSelected;
+
+        // Generate a thumbnail for each page on Carousel
+        while (page) {
+            // Determine if this thumbnail is selected or not
+            isSelected = (page === that._currentPage);
+            // Add string to collection
+            thumbs.unshift(
+                '<span',
+                ' role="button"',
+                ' aria-selected="' + isSelected + '"',
+                ' aria-controls="page' + page + '"',
+                ' data-page="' + page + '"',
+                ' class="' + (isSelected ? 'ch-carousel-selected' : '') + '"',
+                '>' + page + '</span>'
+            );
+
+            page -= 1;
+        }
+
+        // Append thumbnails to pagination and append this to Carousel
+        that._pagination.innerHTML = thumbs.join('');
+        that._el.appendChild(that._pagination);
+
+        // Avoid selection on the pagination
+        that._pagination.setAttribute('unselectable', 'on');
+        tiny.addClass(that._pagination, 'ch-user-no-select');
+
+        // Check pagination as created
+        that._paginationCreated = true;
+    };
+
+    /**
+     * Deletes the pagination from the component.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._removePagination = function () {
+        // Avoid to change something that not exists
+        if (!this._paginationCreated) { return; }
+        // Delete thumbnails
+        this._pagination.innerHTML = '';
+        // Check pagination as deleted
+        this._paginationCreated = false;
+    };
+
+    /**
+     * Creates the copies of the items on the last and first pages, before the first page and after the last page respectively.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._updateClones = function () {
+        // Delete the current copies to create them again
+        this._removeClones();
+
+        // Loop only when it was required and there are pages to loop
+        // The last page is unknown while there are asynchronous items to add
+        if (!this._options.loop || this._async > 0 || this._pages < 2) { return; }
+
+        var items = this._items,
+            total = items.length,
+            // Empty items needed to fill the last page when it's incomplete
+            fillers = (this._pages * this._limitPerPage) - total,
+            // Copies of the last page, added before the first page
+            before = document.createDocumentFragment(),
+            // Copies of the first page, added after the last page
+            after = document.createDocumentFragment(),
+            i;
+
+        function createClone(item, deep) {
+            var clone = item.cloneNode(deep);
+
+            // Avoid duplicated ids and the focus on copies
+            clone.removeAttribute('id');
+            clone.removeAttribute('tabindex');
+            toggleFocusables(clone, false);
+            Array.prototype.forEach.call(clone.querySelectorAll('[id]'), function (el) {
+                el.removeAttribute('id');
+            });
+
+            // Copies are only decoration for assistive technologies
+            clone.removeAttribute('aria-setsize');
+            clone.removeAttribute('aria-posinset');
+            clone.removeAttribute('aria-label');
+            clone.setAttribute('aria-hidden', 'true');
+            tiny.addClass(clone, 'ch-carousel-clone');
+
+            return clone;
+        }
+
+        for (i = (this._pages - 1) * this._limitPerPage; i < total; i += 1) {
+            before.appendChild(createClone(items[i], true));
+        }
+
+        // The last page and its copies have the same empty space at the end
+        for (i = 0; i < fillers; i += 1) {
+            before.appendChild(createClone(items[0], false));
+            after.appendChild(createClone(items[0], false));
+        }
+
+        for (i = 0; i < this._limitPerPage; i += 1) {
+            after.appendChild(createClone(items[i], true));
+        }
+
+        this._list.insertBefore(before, this._list.firstChild);
+        this._list.appendChild(after);
+
+        this._clones = Array.prototype.slice.call(this._list.querySelectorAll('.ch-carousel-clone'));
+    };
+
+    /**
+     * Deletes the copies of the items used to loop.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._removeClones = function () {
+        // Avoid to change something that not exists
+        if (this._clones.length === 0) { return; }
+
+        var list = this._list;
+
+        this._clones.forEach(function (clone) {
+            list.removeChild(clone);
+        });
+
+        this._clones = [];
+    };
+
+    /**
+     * It stops the slide effect while the list moves.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Function} callback A function to execute after disable the effects.
      */
     Carousel.prototype._standbyFX = function (callback) {
         /**
@@ -572,6 +1269,12 @@
         this._pages = Math.ceil((this._items.length + this._async) / this._limitPerPage);
         // Add items to the list, if it's necessary
         this._loadAsyncItems();
+        // Render the items with the data from the source
+        this._loadSourceItems();
+        // Create again the copies of the first and last pages to loop
+        this._updateClones();
+        // Load the images of the new items, if they are visible
+        this._loadImages();
         // Set WAI-ARIA properties to each item
         this._updateARIA();
         // Update arrows (when pages === 1, there is no arrows)
@@ -664,14 +1367,15 @@
         // Do it before item resizing to make space to all items
         // Delete efects on list to change width instantly
         this._standbyFX(function () {
-            this._list.style.cssText = this._list.style.cssText + '; ' + 'width:' + (this._pageWidth * this._pages) + 'px;';
+            // The copies to loop take up one more page at each side
+            this._list.style.cssText = this._list.style.cssText + '; ' + this._size + ':' + (this._pageWidth * (this._pages + (this._clones.length > 0 ? 2 : 0))) + 'px;';
         });
 
         // Get the height using new width and relation between width and height of item (ratio)
         cssItemText = [
-            'width:' + (width % 1 === 0 ? width : width.toFixed(4)) + 'px;',
-            this._options.autoHeight ? 'height:' + ((width * this._itemHeight) / this._itemWidth).toFixed(4) + 'px;' : '',
-            this._options.autoMargin ? 'margin-right:' + (this._itemMargin % 1 === 0 ? this._itemMargin : this._itemMargin.toFixed(4)) + 'px;' : ''
+            this._size + ':' + (width % 1 === 0 ? width : width.toFixed(4)) + 'px;',
+            this._options.autoHeight ? this._crossSize + ':' + ((width * this._itemHeight) / this._itemWidth).toFixed(4) + 'px;' : '',
+            this._options.autoMargin ? 'margin-' + (this._vertical ? 'bottom' : 'right') + ':' + (this._itemMargin % 1 === 0 ? this._itemMargin : this._itemMargin.toFixed(4)) + 'px;' : ''
         ].join('');
 
         // Update element styles
@@ -679,12 +1383,19 @@
             item.setAttribute('style', cssItemText);
         });
 
+        this._clones.forEach(function (clone) {
+            clone.setAttribute('style', cssItemText);
+        });
+
         // Update the mask height with the list height
-        this._mask.style.height = this._getOuterDimensions(this._list).height + 'px';
+        // A vertical mask takes its height from the element
+        if (!this._vertical) {
+            this._mask.style.height = this._getOuterDimensions(this._list).height + 'px';
+        }
 
         // Suit the page in place
         this._standbyFX(function () {
-            this._translate(-this._pageWidth * (this._currentPage - 1));
+            this._translate(this._getPageOffset(this._currentPage));
         });
     };
 
@@ -740,18 +1451,34 @@
         // Case 1: Disable both arrows if there are ony one page
         if (this._pages === 1) {
             this._disableArrows(true, true);
-        // Case 2: "Previous" arrow hidden on first page
+        // Case 2: Enable both arrows when it loops from the last page to the first one
+        } else if (this._clones.length > 0) {
+            this._disableArrows(false, false);
+        // Case 3: "Previous" arrow hidden on first page
         } else if (this._currentPage === 1) {
             this._disableArrows(true, false);
-        // Case 3: "Next" arrow hidden on last page
+        // Case 4: "Next" arrow hidden on last page
         } else if (this._currentPage === this._pages) {
             this._disableArrows(false, true);
-        // Case 4: Enable both arrows on Carousel's middle
+        // Case 5: Enable both arrows on Carousel's middle
         } else {
             this._disableArrows(false, false);
         }
     };
 
+    /**
+     * Returns the displacement of the list needed to show a given page.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Number} page Reference of page to show.
+     * @returns {Number}
+     */
+    Carousel.prototype._getPageOffset = function (page) {
+        // When it loops, there is a page of copies before the first page
+        return -this._pageWidth * (this._clones.length > 0 ? page : page - 1);
+    };
+
     /**
      * Moves the list corresponding to specified displacement.
      * @memberof! ch.Carousel.prototype
@@ -766,379 +1493,7574 @@
         // Use CSS transform to move
         if (tiny.support.transition) {
             return function (displacement) {
+                var transform = (this._vertical ? 'translateY(' : 'translateX(') + displacement + 'px)';
                 // Firefox has only "transform", Safari only "webkitTransform",
                 // Chrome has support for both. Applied required minimum
                 if (vendorTransformKey) {
-                    this._list.style[vendorTransformKey] = 'translateX(' + displacement + 'px)';
+                    this._list.style[vendorTransformKey] = transform;
                 }
-                this._list.style.transform = 'translateX(' + displacement + 'px)';
+                this._list.style.transform = transform;
             };
         }
 
-        // Use left position to move
+        // Use left (or top) position to move
         return function (displacement) {
-            this._list.style.left = displacement + 'px';
+            this._list.style[this._vertical ? 'top' : 'left'] = displacement + 'px';
         };
     }());
 
     /**
-     * Updates the selected page on pagination.
+     * Waits until the list shows the copies of a page and then moves it instantly to the real page.
      * @memberof! ch.Carousel.prototype
      * @private
      * @function
-     * @param {Number} from Page previously selected. It will be unselected.
-     * @param {Number} to Page to be selected.
+     * @param {Number} page Reference of the real page.
      */
-    Carousel.prototype._switchPagination = function (from, to) {
-        // Avoid to change something that not exists
-        if (!this._paginationCreated) { return; }
-        // Get all thumbnails of pagination element
-        var children = this._pagination.children,
-            fromItem = children[from - 1],
-            toItem = children[to - 1];
+    Carousel.prototype._startLoop = function (page) {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
 
-        // Unselect the thumbnail previously selected
-        fromItem.setAttribute('aria-selected', false);
-        tiny.removeClass(fromItem, 'ch-carousel-selected');
+        /**
+         * Moves the list to the real page at the end of a loop. It's undefined when there is no loop in progress.
+         * @private
+         * @type {Function}
+         */
+        this._loopEnd = function (event) {
+            // Ignore the effects of the elements inside the list
+            if (event !== undefined && event.target !== that._list) { return; }
 
-        // Select the new thumbnail
-        toItem.setAttribute('aria-selected', true);
-        tiny.addClass(toItem, 'ch-carousel-selected');
+            if (tiny.support.transition) {
+                tiny.off(that._list, tiny.support.transition.end, that._loopEnd);
+            }
+
+            that._loopEnd = undefined;
+
+            that._standbyFX(function () {
+                this._translate(this._getPageOffset(page));
+            });
+        };
+
+        // Without effects there is nothing to wait
+        if (this._options.fx && tiny.support.transition) {
+            tiny.on(this._list, tiny.support.transition.end, this._loopEnd);
+        } else {
+            this._loopEnd();
+        }
     };
 
     /**
-     * Get the current outer dimensions of an element.
-     *
-     * @memberof ch.Carousel.prototype
-     * @param {HTMLElement} el A given HTMLElement.
-     * @returns {Object}
+     * Moves the list instantly to the real page if there is a loop in progress.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
      */
-    Carousel.prototype._getOuterDimensions = function (el) {
-        var obj = el.getBoundingClientRect();
-
-        return {
-            'width': (obj.right - obj.left),
-            'height': (obj.bottom - obj.top)
-        };
+    Carousel.prototype._endLoop = function () {
+        if (this._loopEnd !== undefined) {
+            this._loopEnd();
+        }
     };
 
     /**
-     * Triggers all the necessary recalculations to be up-to-date.
+     * Listens to the user interactions and the page visibility to pause the autoplay while they happen.
      * @memberof! ch.Carousel.prototype
+     * @private
      * @function
-     * @returns {carousel}
      */
-    Carousel.prototype.refresh = function () {
+    Carousel.prototype._addAutoplay = function () {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
 
-        var that = this,
-            maskWidth = this._getOuterDimensions(this._mask).width;
+        /**
+         * Restarts the time until the next movement of the autoplay. Saved to be removed from the document on destroy.
+         * @private
+         * @type {Function}
+         */
+        this._autoplayListener = function () {
+            that._updateAutoplay();
+        };
 
-        // Check for changes on the width of mask, for the elastic carousel
-        // Update the width of the mask
-        if (maskWidth !== this._maskWidth) {
-            // Update the global reference to the with of the mask
-            this._maskWidth = maskWidth;
-            // Calculate items per page and calculate pages, only when the amount of items was changed
-            this._updateLimitPerPage();
-            // Update the margin between items and its size
-            this._updateDistribution();
+        // Pause while the pointer is over the component
+        tiny.on(this._el, ch.onpointerenter, function () {
+            that._pointerInside = true;
+            that._updateAutoplay();
+        });
 
-            /**
-             * Event emitted when the component makes all the necessary recalculations to be up-to-date.
-             * @event ch.Carousel#refresh
-             * @example
-             * // Subscribe to "refresh" event.
-             * carousel.on('refresh', function () {
-             *     alert('Carousel was refreshed.');
-             * });
-             */
-            this.emit('refresh');
-        }
+        tiny.on(this._el, ch.onpointerleave, function () {
+            that._pointerInside = false;
+            that._updateAutoplay();
+        });
 
-        // Check for a change in the total amount of items
-        // Update items collection
-        if (this._list.children.length !== this._items.length) {
-            // Update the entire reference to items
-            // uses querySelectorAll because it need a static collection
-            this._items = this._list.querySelectorAll('li');
-            // Calculates the total amount of pages and executes internal methods
-            this._updatePages();
-            // Go to the last page in case that the current page no longer exists
-            if (this._currentPage > this._pages) {
-                this._standbyFX(function () {
+        // Pause while the focus is inside the component
+        tiny.on(this._el, 'focusin', function () {
+            that._focusInside = true;
+            that._updateAutoplay();
+        });
+
+        tiny.on(this._el, 'focusout', function (event) {
+            that._focusInside = that._el.contains(event.relatedTarget);
+            that._updateAutoplay();
+        });
+
+        // Pause while the page is hidden
+        tiny.on(document, 'visibilitychange', this._autoplayListener);
+
+        // Start counting again after each movement or change of state
+        this.on('select', this._autoplayListener);
+        this.on('dragstart', this._autoplayListener);
+        this.on('dragend', this._autoplayListener);
+        this.on('enable', this._autoplayListener);
+        this.on('disable', this._autoplayListener);
+
+        // Check autoplay as created
+        this._autoplayCreated = true;
+    };
+
+    /**
+     * Clears the time until the next movement of the autoplay and starts counting again when it isn't paused.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._updateAutoplay = function () {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        window.clearTimeout(this._autoplayTimer);
+
+        // Avoid to move while the user interacts with the component or can't see it
+        if (!this._playing || !this._enabled || this._pointerInside || this._focusInside || this._drag !== undefined || document.hidden) {
+            return;
+        }
+
+        this._autoplayTimer = setTimeout(function () {
+            // Avoid to announce the automatic movements
+            that._autoplaying = true;
+
+            // Go back to the first page when the last one can't loop
+            if (that._currentPage === that._pages && that._clones.length === 0) {
+                that.select(1);
+            } else {
+                that.next();
+            }
+
+            that._autoplaying = false;
+
+            // Keep playing even when there is only one page
+            that._updateAutoplay();
+        }, this._options.interval);
+    };
+
+    /**
+     * Allows to move between pages with the arrow, Home and End keys when the focus is inside the component, and between items when the focus is on an item.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._addKeyboard = function () {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        tiny.on(this._el, 'keydown', function (event) {
+            var action = KEYS[that._vertical ? 'vertical' : 'horizontal'][event.keyCode],
+                // Position of the focused item, when the focus is on an item
+                index = Array.prototype.indexOf.call(that._items, event.target),
+                last,
+                target;
+
+            // Avoid to move while the user writes into a form control
+            if (!that._enabled || action === undefined || /^(input|textarea|select)$/i.test(event.target.tagName)) { return; }
+
+            event.preventDefault();
+
+            // Move between pages from the arrows, the pagination or the content of the items
+            if (index === -1) {
+                if (action === 'first') {
+                    that.select(1);
+                } else if (action === 'last') {
                     that.select(that._pages);
-                });
+                } else {
+                    that[action]();
+                }
+                return;
+            }
+
+            // Move between items
+            target = {'first': 0, 'last': that._items.length - 1, 'prev': index - 1, 'next': index + 1}[action];
+
+            // Add the asynchronous items of the next page before go there
+            if (target >= that._items.length && that._async > 0) {
+                that.select(that._currentPage + 1);
+            }
+
+            last = that._items.length - 1;
+
+            if (target < 0 || target > last) {
+                // Go around only when it loops
+                if (that._clones.length === 0) { return; }
+
+                that._activeItem = (target < 0) ? last : 0;
+                that.select((target < 0) ? 0 : that._pages + 1);
+                target = that._activeItem;
+            }
+
+            that._focusItem(Math.min(target, last));
+        });
+    };
+
+    /**
+     * Moves the focus to a given item, and the list to its page.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Number} index The position of the item.
+     */
+    Carousel.prototype._focusItem = function (index) {
+        var item = this._items[index];
+
+        this._activeItem = index;
+        this.select(Math.floor(index / this._limitPerPage) + 1);
+        // The page could be the same, so update the tab order anyway
+        this._updateARIA();
+
+        // Avoid the native scroll of the mask, the list is moved by the component
+        item.focus({'preventScroll': true});
+        this._mask.scrollLeft = 0;
+        this._mask.scrollTop = 0;
+    };
+
+    /**
+     * Allows to select each item as a thumbnail of the target image, with the pointer or the keyboard.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._addThumbnails = function () {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        // Position of the item that contains a given element
+        function getIndex(el) {
+            while (el !== null && el.parentNode !== that._list) {
+                el = el.parentNode;
+            }
+
+            return Array.prototype.indexOf.call(that._items, el);
+        }
+
+        /**
+         * Position of the selected thumbnail.
+         * @private
+         * @type {Number}
+         */
+        this._thumbnail = 0;
+
+        tiny.addClass(this._el, 'ch-carousel-thumbnails');
+
+        if (this._items[0] !== undefined) {
+            tiny.addClass(this._items[0], 'ch-carousel-thumbnail-selected');
+            this._items[0].setAttribute('aria-current', 'true');
+        }
+
+        tiny.on(this._list, pointertap, function (event) {
+            var index = getIndex(event.target);
+
+            // Avoid to select when the list was dragged
+            if (index !== -1 && !that._dragged) { that.selectThumbnail(index); }
+        });
+
+        // Prevent to redirect to the href of the links inside the thumbnails
+        tiny.on(this._list, 'click', function (event) {
+            if (getIndex(event.target) !== -1) { event.preventDefault(); }
+        });
+
+        // Select the focused thumbnail with Enter or Space
+        tiny.on(this._list, 'keydown', function (event) {
+            var index = Array.prototype.indexOf.call(that._items, event.target);
+
+            if (index !== -1 && (event.keyCode === 13 || event.keyCode === 32)) {
+                event.preventDefault();
+                that.selectThumbnail(index);
+            }
+        });
+    };
+
+    /**
+     * Shows the images of a thumbnail on the target image, link or ch.Zoom.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Object} images The images of the thumbnail.
+     */
+    Carousel.prototype._updateThumbnailsTarget = function (images) {
+        var target = this._options.thumbnails,
+            // The zoom keeps the original image and the zoomed image loaded
+            zoom = (ch.Zoom !== undefined && target instanceof ch.Zoom) ? target : undefined,
+            remeasured = false,
+            img;
+
+        if (zoom !== undefined) {
+            zoom.hide();
+            remeasured = remeasureZoom(zoom);
+            target = zoom.trigger;
+        }
+
+        img = (target.tagName === 'IMG') ? target : target.querySelector('img');
+
+        if (img !== null) {
+            img.src = images.image;
+
+            if (images.alt) { img.setAttribute('alt', images.alt); }
+        }
+
+        if (target.tagName === 'A') {
+            target.href = images.zoom;
+        }
+
+        // Without measuring again, the zoomed image is just replaced
+        if (zoom !== undefined && !remeasured) {
+            zoom.loadImage();
+        }
+    };
+
+    /**
+     * Creates an IntersectionObserver to load the images when they get close to the mask. Without support, the images are loaded on each page change.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._addLazyLoad = function () {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        if (window.IntersectionObserver === undefined) { return; }
+
+        /**
+         * Observer of the images that aren't loaded yet. It's undefined when the browser has no support.
+         * @private
+         * @type {IntersectionObserver}
+         */
+        this._observer = new window.IntersectionObserver(function (entries) {
+            entries.forEach(function (entry) {
+                if (entry.isIntersecting) {
+                    that._observer.unobserve(entry.target);
+                    that._loadImage(entry.target);
+                }
+            });
+        }, {
+            'root': this._mask,
+            // Add the look-ahead pages at both sides of the mask
+            'rootMargin': this._vertical ? (this._options.lookAhead * 100) + '% 0px' : '0px ' + (this._options.lookAhead * 100) + '%'
+        });
+    };
+
+    /**
+     * Loads the images of the current page and the pages around it, or observes the images to load them when they get close.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._loadImages = function () {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            selector = 'img[data-src], img[data-srcset]',
+            lookAhead = this._options.lookAhead,
+            // From the first item of the look-ahead before the current page to the last item of the look-ahead after it
+            i = Math.max(this._currentPage - lookAhead - 1, 0) * this._limitPerPage,
+            end = Math.min((this._currentPage + lookAhead) * this._limitPerPage, this._items.length);
+
+        function load(img) {
+            that._loadImage(img);
+        }
+
+        // The observer knows when to load each image
+        if (this._observer !== undefined) {
+            Array.prototype.forEach.call(this._list.querySelectorAll(selector), function (img) {
+                that._observer.observe(img);
+            });
+            return;
+        }
+
+        for (i; i < end; i += 1) {
+            Array.prototype.forEach.call(this._items[i].querySelectorAll(selector), load);
+        }
+
+        // The copies to loop are shown next to the first and last pages
+        this._clones.forEach(function (clone) {
+            Array.prototype.forEach.call(clone.querySelectorAll(selector), load);
+        });
+    };
+
+    /**
+     * Moves the "data-src" and "data-srcset" attributes of an image to its "src" and "srcset" attributes.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {HTMLImageElement} img The image to load.
+     */
+    Carousel.prototype._loadImage = function (img) {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            src = img.getAttribute('data-src'),
+            srcset = img.getAttribute('data-srcset');
+
+        function onload() {
+            tiny.off(img, 'load', onload);
+
+            /**
+             * Event emitted when an image inside the items is loaded lazily.
+             * @event ch.Carousel#imageload
+             * @example
+             * // Subscribe to "imageload" event.
+             * carousel.on('imageload', function (img) {
+             *     // Some code here!
+             * });
+             */
+            that.emit('imageload', img);
+        }
+
+        tiny.on(img, 'load', onload);
+
+        if (srcset !== null) {
+            img.setAttribute('srcset', srcset);
+            img.removeAttribute('data-srcset');
+        }
+
+        if (src !== null) {
+            img.setAttribute('src', src);
+            img.removeAttribute('data-src');
+        }
+    };
+
+    /**
+     * Allows to move the list by dragging it with a mouse or swiping it with a finger.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._addDrag = function () {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            // Native pointer and touch events are cancelled when the browser takes the gesture (i.e. vertical scroll)
+            endEvents = (ch.onpointerup === 'pointerup') ? ['pointerup', 'pointercancel'] :
+                (ch.onpointerup === 'touchend') ? ['touchend', 'touchcancel'] : [ch.onpointerup];
+
+        function move(event) {
+            that._dragMove(event);
+        }
+
+        function end() {
+            tiny.off(document, ch.onpointermove, move);
+            endEvents.forEach(function (name) { tiny.off(document, name, end); });
+            that._dragEnd();
+        }
+
+        // Let the browser scroll the page across the direction in which the list is swiped
+        this._mask.setAttribute('touch-action', this._vertical ? 'pan-x' : 'pan-y');
+        this._mask.style.touchAction = this._vertical ? 'pan-x' : 'pan-y';
+
+        tiny.on(this._mask, ch.onpointerdown, function (event) {
+            // Only the main button of the mouse, and only when there is somewhere to move
+            if (event.button > 0 || !that._enabled || that._pages < 2 || that._drag !== undefined) { return; }
+
+            that._dragStart(event);
+
+            tiny.on(document, ch.onpointermove, move);
+            endEvents.forEach(function (name) { tiny.on(document, name, end); });
+        });
+
+        // Avoid the native drag of images and links inside the items
+        tiny.on(this._mask, 'dragstart', function (event) { event.preventDefault(); });
+
+        // Avoid following links inside the items when the list was dragged
+        tiny.on(this._mask, 'click', function (event) {
+            if (that._dragged) {
+                event.preventDefault();
+                event.stopPropagation();
+            }
+        }, true);
+    };
+
+    /**
+     * Returns the position of the pointer in the direction in which the list moves, from the first touch on touch events.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Event} event A pointer, mouse or touch event.
+     * @returns {Number}
+     */
+    Carousel.prototype._getDragPosition = function (event) {
+        var point = (event.touches && event.touches[0]) || (event.changedTouches && event.changedTouches[0]) || event;
+
+        return this._vertical ? point.clientY : point.clientX;
+    };
+
+    /**
+     * Saves the starting point of a drag.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Event} event The event that starts the drag.
+     */
+    Carousel.prototype._dragStart = function (event) {
+        var now = new Date().getTime();
+
+        // Put the list on the real page if it's still looping
+        this._endLoop();
+
+        /**
+         * State of the drag in progress. It's undefined when the list isn't being dragged.
+         * @private
+         * @type {Object}
+         */
+        this._drag = {
+            'started': false,
+            'start': this._getDragPosition(event),
+            'last': this._getDragPosition(event),
+            'lastTime': now,
+            'distance': 0,
+            'velocity': 0,
+            // Position of the list when the drag starts
+            'offset': this._getPageOffset(this._currentPage)
+        };
+    };
+
+    /**
+     * Moves the list following the pointer.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Event} event The event that moves the pointer.
+     */
+    Carousel.prototype._dragMove = function (event) {
+        var drag = this._drag,
+            now = new Date().getTime(),
+            // Position of the pointer in the direction in which the list moves
+            position = this._getDragPosition(event),
+            distance = position - drag.start,
+            // Position of the list on the last page
+            min = this._getPageOffset(this._pages),
+            offset;
+
+        // Wait until the pointer travels enough to distinguish a drag from a tap
+        if (!drag.started) {
+            if (Math.abs(distance) < DRAG_THRESHOLD) { return; }
+
+            drag.started = true;
+
+            // Move the list instantly with the pointer
+            tiny.addClass(this._list, 'ch-carousel-nofx');
+            tiny.addClass(this._el, 'ch-carousel-dragging');
+
+            /**
+             * Event emitted when the user starts to drag the list.
+             * @event ch.Carousel#dragstart
+             * @example
+             * // Subscribe to "dragstart" event.
+             * carousel.on('dragstart', function () {
+             *     // Some code here!
+             * });
+             */
+            this.emit('dragstart');
+        }
+
+        // Avoid text selection while the list is dragged with the mouse
+        event.preventDefault();
+
+        // Speed of the pointer in pixels per millisecond
+        drag.velocity = (position - drag.last) / Math.max(now - drag.lastTime, 1);
+        drag.last = position;
+        drag.lastTime = now;
+        drag.distance = distance;
+
+        offset = drag.offset + distance;
+
+        // Add resistance beyond the first and the last pages, except when it loops
+        if (this._clones.length === 0) {
+            if (offset > 0) {
+                offset = offset / 3;
+            } else if (offset < min) {
+                offset = min + ((offset - min) / 3);
+            }
+        }
+
+        this._translate(offset);
+    };
+
+    /**
+     * Snaps the list to the closest page when a drag ends, taking into account the speed of the pointer.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     */
+    Carousel.prototype._dragEnd = function () {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            drag = this._drag,
+            // Distance that the list would travel with its momentum
+            projection,
+            page;
+
+        this._drag = undefined;
+
+        // It was a tap, not a drag
+        if (!drag.started) { return; }
+
+        // Avoid the click that follows the end of a drag
+        this._dragged = true;
+        setTimeout(function () { that._dragged = false; }, 0);
+
+        tiny.removeClass(this._el, 'ch-carousel-dragging');
+
+        // Restore the slide effect only when it's enabled
+        if (this._options.fx) { tiny.removeClass(this._list, 'ch-carousel-nofx'); }
+
+        // The pointer stood still before it was released, so there is no momentum
+        if (new Date().getTime() - drag.lastTime > 100) { drag.velocity = 0; }
+
+        projection = drag.distance + (drag.velocity * DRAG_MOMENTUM);
+        page = this._currentPage - Math.round(projection / this._pageWidth);
+        // Avoid to move beyond first and last pages
+        // When it loops, allow to move to the copies that are beyond them
+        if (this._clones.length > 0) {
+            page = Math.min(Math.max(page, 0), this._pages + 1);
+        } else {
+            page = Math.min(Math.max(page, 1), this._pages);
+        }
+
+        // Go back to the current page or move to the new one
+        if (page === this._currentPage) {
+            this._translate(drag.offset);
+        } else {
+            this.select(page);
+            // The real page where the list ends after a loop
+            page = this._currentPage;
+        }
+
+        /**
+         * Event emitted when the user stops dragging the list.
+         * @event ch.Carousel#dragend
+         * @example
+         * // Subscribe to "dragend" event.
+         * carousel.on('dragend', function (page) {
+         *     // Some code here!
+         * });
+         */
+        this.emit('dragend', page);
+    };
+
+    /**
+     * Updates the selected page on pagination.
+     * @memberof! ch.Carousel.prototype
+     * @private
+     * @function
+     * @param {Number} from Page previously selected. It will be unselected.
+     * @param {Number} to Page to be selected.
+     */
+    Carousel.prototype._switchPagination = function (from, to) {
+        // Avoid to change something that not exists
+        if (!this._paginationCreated) { return; }
+        // Get all thumbnails of pagination element
+        var children = this._pagination.children,
+            fromItem = children[from - 1],
+            toItem = children[to - 1];
+
+        // Unselect the thumbnail previously selected
+        fromItem.setAttribute('aria-selected', false);
+        tiny.removeClass(fromItem, 'ch-carousel-selected');
+
+        // Select the new thumbnail
+        toItem.setAttribute('aria-selected', true);
+        tiny.addClass(toItem, 'ch-carousel-selected');
+    };
+
+    /**
+     * Get the current outer dimensions of an element.
+     *
+     * @memberof ch.Carousel.prototype
+     * @param {HTMLElement} el A given HTMLElement.
+     * @returns {Object}
+     */
+    Carousel.prototype._getOuterDimensions = function (el) {
+        var obj = el.getBoundingClientRect();
+
+        return {
+            'width': (obj.right - obj.left),
+            'height': (obj.bottom - obj.top)
+        };
+    };
+
+    /**
+     * Triggers all the necessary recalculations to be up-to-date.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @returns {carousel}
+     */
+    Carousel.prototype.refresh = function () {
+
+        var that = this,
+            maskWidth = this._getOuterDimensions(this._mask)[this._size];
+
+        // Check for changes on the width of mask, for the elastic carousel
+        // Update the width of the mask
+        if (maskWidth !== this._maskWidth) {
+            // Update the global reference to the with of the mask
+            this._maskWidth = maskWidth;
+            // Calculate items per page and calculate pages, only when the amount of items was changed
+            this._updateLimitPerPage();
+            // Update the margin between items and its size
+            this._updateDistribution();
+
+            /**
+             * Event emitted when the component makes all the necessary recalculations to be up-to-date.
+             * @event ch.Carousel#refresh
+             * @example
+             * // Subscribe to "refresh" event.
+             * carousel.on('refresh', function () {
+             *     alert('Carousel was refreshed.');
+             * });
+             */
+            this.emit('refresh');
+        }
+
+        // Check for a change in the total amount of items
+        // Update items collection
+        if (this._list.children.length - this._clones.length !== this._items.length) {
+            // Delete the copies to loop, they are created again with the new items
+            this._removeClones();
+            // Update the entire reference to items
+            // uses querySelectorAll because it need a static collection
+            this._items = this._list.querySelectorAll('li');
+            // Calculates the total amount of pages and executes internal methods
+            this._updatePages();
+            // Go to the last page in case that the current page no longer exists
+            if (this._currentPage > this._pages) {
+                this._standbyFX(function () {
+                    that.select(that._pages);
+                });
+            }
+
+            /**
+             * Event emitted when the component makes all the necessary recalculations to be up-to-date.
+             * @event ch.Carousel#refresh
+             * @ignore
+             */
+            this.emit('refresh');
+        }
+
+        return this;
+    };
+
+    /**
+     * Moves the list to the specified page.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @param {Number} page Reference of page where the list has to move.
+     * @returns {carousel}
+     */
+    Carousel.prototype.select = function (page) {
+        // Getter
+        if (page === undefined) {
+            return this._currentPage;
+        }
+
+        // When it loops, the pages beyond first and last pages are the copies of the last and first pages
+        var isLoop = this._clones.length > 0 && (page === 0 || page === this._pages + 1);
+
+        // Avoid to move if it's disabled
+        // Avoid to select the same page that is selected yet
+        // Avoid to move beyond first and last pages
+        if (!this._enabled || page === this._currentPage || (!isLoop && (page < 1 || page > this._pages))) {
+            return this;
+        }
+
+        // Put the list on the real page if a previous loop is still waiting
+        this._endLoop();
+
+        // Perform these tasks in the following order:
+        // Task 1: Move the list from 0 (zero), to page to move (page number beginning in zero)
+        this._translate(this._getPageOffset(page));
+        // Jump from the copies to the real page when the movement ends
+        if (isLoop) {
+            page = (page === 0) ? this._pages : 1;
+            this._startLoop(page);
+        }
+        // Task 2: Update selected thumbnail on pagination
+        this._switchPagination(this._currentPage, page);
+        // Task 3: Update value of current page
+        this._currentPage = page;
+        // Task 4: Check for arrows behavior on first, last and middle pages
+        this._updateArrows();
+        // Task 5: Update WAI-ARIA properties and the focusable item to the new page
+        this._updateARIA();
+        // Task 6: Announce the new page, except on automatic movements
+        if (!this._autoplaying) {
+            this._live.innerHTML = this._options.announcement.replace('{{page}}', page).replace('{{pages}}', this._pages);
+        }
+        // Task 7: Add items to the list, if it's necessary
+        this._loadAsyncItems();
+        // Task 8: Render the items with the data from the source
+        this._loadSourceItems();
+        // Task 9: Load the images of the new page and the pages around it
+        this._loadImages();
+
+        /**
+         * Event emitted when the component moves to another page.
+         * @event ch.Carousel#select
+         * @example
+         * // Subscribe to "select" event.
+         * carousel.on('select', function () {
+         *     alert('Carousel was moved.');
+         * });
+         */
+        this.emit('select');
+
+        return this;
+    };
+
+    /**
+     * Moves the list to the previous page.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @returns {carousel}
+     */
+    Carousel.prototype.prev = function () {
+
+        this.select(this._currentPage - 1);
+
+        /**
+         * Event emitted when the component moves to the previous page.
+         * @event ch.Carousel#prev
+         * @example
+         * carousel.on('prev', function () {
+         *     alert('Carousel has moved to the previous page.');
+         * });
+         */
+        this.emit('prev');
+
+        return this;
+    };
+
+    /**
+     * Moves the list to the next page.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @returns {carousel}
+     */
+    Carousel.prototype.next = function () {
+
+        this.select(this._currentPage + 1);
+
+        /**
+         * Event emitted when the component moves to the next page.
+         * @event ch.Carousel#next
+         * @example
+         * carousel.on('next', function () {
+         *     alert('Carousel has moved to the next page.');
+         * });
+         */
+        this.emit('next');
+
+        return this;
+    };
+
+    /**
+     * Selects a thumbnail: shows its images on the target, highlights it and moves the list to its page.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @param {Number} index The position of the thumbnail, beginning in zero.
+     * @returns {(carousel | Number)}
+     * @example
+     * // Select the third thumbnail.
+     * carousel.selectThumbnail(2);
+     * @example
+     * // Get the position of the selected thumbnail.
+     * carousel.selectThumbnail();
+     */
+    Carousel.prototype.selectThumbnail = function (index) {
+        // Getter
+        if (index === undefined) {
+            return this._thumbnail;
+        }
+
+        var item = this._items[index],
+            previous = this._items[this._thumbnail],
+            images;
+
+        // Avoid to select if it's disabled, isn't a thumbnails strip or the item doesn't exist
+        if (!this._enabled || this._options.thumbnails === undefined || item === undefined) {
+            return this;
+        }
+
+        images = getThumbnailImages(item);
+
+        // Avoid to select an item without image (i.e. asynchronous items not loaded yet)
+        if (!images.image) {
+            return this;
+        }
+
+        this._updateThumbnailsTarget(images);
+
+        // Highlight the selected thumbnail
+        if (previous !== undefined) {
+            tiny.removeClass(previous, 'ch-carousel-thumbnail-selected');
+            previous.removeAttribute('aria-current');
+        }
+
+        tiny.addClass(item, 'ch-carousel-thumbnail-selected');
+        item.setAttribute('aria-current', 'true');
+
+        this._thumbnail = index;
+
+        // Keep the selected thumbnail into view
+        this.select(Math.floor(index / this._limitPerPage) + 1);
+
+        /**
+         * Event emitted when a thumbnail is selected.
+         * @event ch.Carousel#thumbselect
+         * @example
+         * // Subscribe to "thumbselect" event.
+         * carousel.on('thumbselect', function (index, item) {
+         *     // Some code here!
+         * });
+         */
+        this.emit('thumbselect', index, item);
+
+        return this;
+    };
+
+    /**
+     * Starts to move the list to the next page periodically.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @returns {carousel}
+     * @example
+     * // Start the autoplay.
+     * carousel.play();
+     */
+    Carousel.prototype.play = function () {
+
+        if (!this._autoplayCreated) {
+            this._addAutoplay();
+        }
+
+        /**
+         * Flag to control when the autoplay is on.
+         * @private
+         * @type {Boolean}
+         */
+        this._playing = true;
+
+        this._updateAutoplay();
+
+        /**
+         * Event emitted when the autoplay starts.
+         * @event ch.Carousel#play
+         * @example
+         * // Subscribe to "play" event.
+         * carousel.on('play', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('play');
+
+        return this;
+    };
+
+    /**
+     * Stops the autoplay.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @returns {carousel}
+     * @example
+     * // Stop the autoplay.
+     * carousel.pause();
+     */
+    Carousel.prototype.pause = function () {
+
+        this._playing = false;
+
+        window.clearTimeout(this._autoplayTimer);
+
+        /**
+         * Event emitted when the autoplay stops.
+         * @event ch.Carousel#pause
+         * @example
+         * // Subscribe to "pause" event.
+         * carousel.on('pause', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('pause');
+
+        return this;
+    };
+
+    /**
+     * Enables a Carousel instance.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @returns {carousel}
+     */
+    Carousel.prototype.enable = function () {
+
+        this._el.setAttribute('aria-disabled', false);
+
+        this._disableArrows(false, false);
+
+        parent.enable.call(this);
+
+        return this;
+    };
+
+    /**
+     * Disables a Carousel instance.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     * @returns {carousel}
+     */
+    Carousel.prototype.disable = function () {
+
+        this._el.setAttribute('aria-disabled', true);
+
+        this._disableArrows(true, true);
+
+        parent.disable.call(this);
+
+        return this;
+    };
+
+    /**
+     * Destroys a Carousel instance.
+     * @memberof! ch.Carousel.prototype
+     * @function
+     */
+    Carousel.prototype.destroy = function () {
+
+        // Stop the autoplay and remove its listener from the document
+        this._playing = false;
+        window.clearTimeout(this._autoplayTimer);
+
+        if (this._autoplayCreated) {
+            tiny.off(document, 'visibilitychange', this._autoplayListener);
+        }
+
+        // Stop observing the images that weren't loaded
+        if (this._observer !== undefined) {
+            this._observer.disconnect();
+        }
+
+        this._el.parentNode.replaceChild(this._snippet, this._el);
+
+        tiny.trigger(window.document, ch.onlayoutchange);
+
+        parent.destroy.call(this);
+
+        return;
+    };
+
+    ch.factory(Carousel);
+
+}(this, this.ch));
+
+(function (window, ch) {
+    'use strict';
+
+    function normalizeOptions(options) {
+        var num = window.parseInt(options, 10);
+
+        if (!window.isNaN(num)) {
+            options = {
+                'max': num
+            };
+        }
+
+        return options;
+    }
+
+    /**
+     * Countdown counts the maximum of characters that user can enter in a form control. Countdown could limit the possibility to continue inserting charset.
+     * @memberof ch
+     * @constructor
+     * @augments ch.Component
+     * @param {HTMLElement} el A HTMLElement to create an instance of ch.Countdown.
+     * @param {Object} [options] Options to customize an instance.
+     * @param {Number} [options.max] Number of the maximum amount of characters user can input in form control. Default: 500.
+     * @param {(String | Function)} [options.counter] The way to count the content. The name of a strategy of ch.Countdown.counters ("length", "graphemes", "bytes", "words" or "urls"), or a function that receives the value and returns its length. Default: "length".
+     * @param {Number} [options.urlLength] Amount of characters that each URL counts for with the "urls" counter. Default: 23.
+     * @param {Number} [options.lineBreak] Amount of characters that each line break counts for, except with the "words" counter. Forms submit line breaks as CRLF, so use 2 when the server counts them that way. Default: 1.
+     * @param {String} [options.message] ICU-style message of remaining amount of characters, like "{count, plural, =0 {No characters left.} one {# character left.} other {# characters left.}}". It can use "{max}" too, and takes precedence over the singular and plural messages.
+     * @param {(Number | Array)} [options.warnAt] Amount (or amounts) of remaining characters from which the user is warned before the limit.
+     * @param {Boolean} [options.hardLimit] Avoids to insert content beyond the maximum, cutting the inserted text while keeping the caret position and the undo history. Default: false.
+     * @param {(Boolean | String)} [options.validation] Adds a condition to the ch.Validation of the form control (or creates one) so the form can't be sent while the content exceeds the maximum. A string is used as error message, and it can use "{max}". Default: false.
+     * @param {String} [options.plural] Message of remaining amount of characters, when it's different to 1. The variable that represents the number to be replaced, should be a hash. Default: "# characters left.".
+     * @param {String} [options.singular] Message of remaining amount of characters, when it's only 1. The variable that represents the number to be replaced, should be a hash. Default: "# character left.".
+     * @returns {countdown} Returns a new instance of Countdown.
+     * @example
+     * // Create a new Countdown.
+     * var countdown = new ch.Countdown([el], [options]);
+     * @example
+     * // Create a new Countdown with custom options.
+     * var countdown = new ch.Countdown({
+     *     'max': 250,
+     *     'plural': 'Left: # characters.',
+     *     'singular': 'Left: # character.'
+     * });
+     * @example
+     * // Create a new Countdown that counts emoji as one character and each link as 23 characters.
+     * var countdown = new ch.Countdown(el, {
+     *     'max': 280,
+     *     'counter': 'urls',
+     *     'message': '{count, plural, =0 {No characters left.} one {# character left.} other {# characters left.}}'
+     * });
+     * @example
+     * // Create a new Countdown that warns the user when there are 20 and 5 characters left, and stops at the limit.
+     * var countdown = new ch.Countdown(el, {
+     *     'max': 140,
+     *     'warnAt': [20, 5],
+     *     'hardLimit': true
+     * }).on('warn', function (threshold, remaining) {
+     *     // Some code here!
+     * });
+     * @example
+     * // Create a new Countdown that avoids to send the form while the content exceeds the maximum.
+     * var countdown = new ch.Countdown(el, {
+     *     'max': 140,
+     *     'validation': 'Use up to {max} characters.'
+     * });
+     * @example
+     * // Create a new Countdown using the shorthand way (max as parameter).
+     * var countdown = new ch.Countdown({'max': 500});
+     */
+    function Countdown(el, options) {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        this._init(el, options);
+
+        if (this.initialize !== undefined) {
+            /**
+             * If you define an initialize method, it will be executed when a new Countdown is created.
+             * @memberof! ch.Countdown.prototype
+             * @function
+             */
+            this.initialize();
+        }
+
+        /**
+         * Event emitted when the component is ready to use.
+         * @event ch.Countdown#ready
+         * @example
+         * // Subscribe to "ready" event.
+         * countdown.on('ready', function () {
+         *     // Some code here!
+         * });
+         */
+        window.setTimeout(function () { that.emit('ready'); }, 50);
+    }
+
+    // Inheritance
+    tiny.inherits(Countdown, ch.Component);
+
+    var parent = Countdown.super_.prototype;
+
+    /**
+     * Returns the amount of user-perceived characters (grapheme clusters) of a given text.
+     *
+     * @private
+     * @param {String} text A given text.
+     * @param {Intl.Segmenter} [segmenter] A segmenter to reuse. Default: a new one, if it's supported.
+     * @returns {Number}
+     */
+    function countGraphemes(text, segmenter) {
+        var count = 0,
+            iterator;
+
+        if (segmenter === undefined && window.Intl !== undefined && window.Intl.Segmenter !== undefined) {
+            segmenter = new window.Intl.Segmenter();
+        }
+
+        if (segmenter !== undefined) {
+            iterator = segmenter.segment(text)[window.Symbol.iterator]();
+
+            while (!iterator.next().done) {
+                count += 1;
+            }
+
+            return count;
+        }
+
+        // Approximation for browsers without Intl.Segmenter
+        return text
+            // Joined sequences of emoji
+            .replace(/\u200d(?:[\ud800-\udbff][\udc00-\udfff]|[\s\S])/g, '')
+            // Skin tone modifiers, variation selectors and combining marks
+            .replace(/\ud83c[\udffb-\udfff]|[\ufe00-\ufe0f\u0300-\u036f]/g, '')
+            // Surrogate pairs
+            .replace(/[\ud800-\udbff][\udc00-\udfff]/g, '_')
+            .length;
+    }
+
+    /**
+     * Returns the amount of bytes of a given text encoded as UTF-8.
+     *
+     * @private
+     * @param {String} text A given text.
+     * @returns {Number}
+     */
+    function countBytes(text) {
+        var bytes = 0,
+            code,
+            i = 0;
+
+        for (i; i < text.length; i += 1) {
+            code = text.charCodeAt(i);
+
+            if (code < 0x80) {
+                bytes += 1;
+            } else if (code < 0x800) {
+                bytes += 2;
+            // A surrogate pair is a single character of 4 bytes
+            } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+                bytes += 4;
+                i += 1;
+            } else {
+                bytes += 3;
+            }
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Splits a given text into user-perceived characters (or code points when Intl.Segmenter isn't available).
+     *
+     * @private
+     * @param {String} text A given text.
+     * @returns {Array}
+     */
+    function splitCharacters(text) {
+        var characters = [],
+            iterator,
+            step;
+
+        if (window.Intl !== undefined && window.Intl.Segmenter !== undefined) {
+            iterator = new window.Intl.Segmenter().segment(text)[window.Symbol.iterator]();
+
+            for (step = iterator.next(); !step.done; step = iterator.next()) {
+                characters.push(step.value.segment);
+            }
+
+            return characters;
+        }
+
+        return text.match(/[\ud800-\udbff][\udc00-\udfff]|[\s\S]/g) || [];
+    }
+
+    /**
+     * Returns the text of the first block between braces, and the position where it ends.
+     *
+     * @private
+     * @param {String} text A given text.
+     * @param {Number} start Position where the block starts.
+     * @returns {Object}
+     */
+    function readBlock(text, start) {
+        var depth = 0,
+            i = start;
+
+        for (i; i < text.length; i += 1) {
+            if (text.charAt(i) === '{') {
+                depth += 1;
+            } else if (text.charAt(i) === '}') {
+                depth -= 1;
+                if (depth === 0) {
+                    return {
+                        'content': text.slice(start + 1, i),
+                        'end': i + 1
+                    };
+                }
+            }
+        }
+
+        throw new window.SyntaxError('ch.Countdown: Unclosed brace in message "' + text + '".');
+    }
+
+    /**
+     * Returns the plural category ("zero", "one", "two", "few", "many" or "other") of a given number in the language of the document.
+     *
+     * @private
+     * @param {Number} num A given number.
+     * @returns {String}
+     */
+    function getPluralCategory(num) {
+        try {
+            return new window.Intl.PluralRules(document.documentElement.lang || undefined).select(num);
+        } catch (error) {
+            return (num === 1) ? 'one' : 'other';
+        }
+    }
+
+    /**
+     * Formats an ICU-style message, replacing "{name}" by a value and choosing the option of "{name, plural, ...}" that matches a number.
+     *
+     * @private
+     * @param {String} message A given message.
+     * @param {Object} values The values of the message by name.
+     * @returns {String}
+     * @example
+     * formatMessage('{count, plural, =0 {None} one {# item} other {# items}}', {'count': 3}); // '3 items'
+     */
+    function formatMessage(message, values) {
+        var result = '',
+            i = 0,
+            block;
+
+        while (i < message.length) {
+            if (message.charAt(i) === '{') {
+                block = readBlock(message, i);
+                result += formatArgument(block.content, values);
+                i = block.end;
+            } else {
+                result += message.charAt(i);
+                i += 1;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Formats the content of an argument of an ICU-style message.
+     *
+     * @private
+     * @param {String} argument A given argument, without its braces.
+     * @param {Object} values The values of the message by name.
+     * @returns {String}
+     */
+    function formatArgument(argument, values) {
+        var parts = argument.split(','),
+            value = values[parts[0].trim()],
+            options = {},
+            rest,
+            key,
+            block,
+            selected;
+
+        // Simple argument like "{count}"
+        if (parts.length < 3 || parts[1].trim() !== 'plural') {
+            return String(value);
+        }
+
+        // Options like "=0 {None} one {# item} other {# items}"
+        rest = parts.slice(2).join(',');
+
+        while (rest.trim() !== '') {
+            rest = rest.replace(/^\s+/, '');
+            key = rest.slice(0, rest.indexOf('{')).trim();
+            block = readBlock(rest, rest.indexOf('{'));
+            options[key] = block.content;
+            rest = rest.slice(block.end);
+        }
+
+        selected = options['=' + value];
+
+        if (selected === undefined) {
+            selected = options[getPluralCategory(value)];
+        }
+
+        if (selected === undefined) {
+            selected = options.other || '';
+        }
+
+        return formatMessage(selected, values).replace(/#/g, value);
+    }
+
+    /**
+     * Strategies to count the content of a form control, by name. Each one is called on the instance, receives the value and its options, and returns its length. Add a function to use it as the "counter" option.
+     * @memberof! ch.Countdown
+     * @type {Object}
+     * @example
+     * // Count the sentences.
+     * ch.Countdown.counters.sentences = function (value) {
+     *     return (value.match(/[.!?]+/g) || []).length;
+     * };
+     */
+    Countdown.counters = {
+        /**
+         * Counts the UTF-16 code units, like the "maxlength" attribute.
+         */
+        'length': function (value) {
+            return value.length;
+        },
+
+        /**
+         * Counts the user-perceived characters, so an emoji is only one character.
+         */
+        'graphemes': function (value) {
+            return countGraphemes(value, this._segmenter);
+        },
+
+        /**
+         * Counts the bytes of the value encoded as UTF-8.
+         */
+        'bytes': function (value) {
+            return countBytes(value);
+        },
+
+        /**
+         * Counts the words, separated by white spaces.
+         */
+        'words': function (value) {
+            return (value.match(/\S+/g) || []).length;
+        },
+
+        /**
+         * Counts the user-perceived characters, but each URL counts as the length given by the "urlLength" option.
+         */
+        'urls': function (value, options) {
+            var urls = value.match(/(?:https?:\/\/|www\.)\S+/gi) || [];
+
+            return countGraphemes(value.replace(/(?:https?:\/\/|www\.)\S+/gi, ''), this._segmenter) + (urls.length * options.urlLength);
+        }
+    };
+
+    /**
+     * The name of the component.
+     * @memberof! ch.Countdown.prototype
+     * @type {String}
+     */
+    Countdown.prototype.name = 'countdown';
+
+    /**
+     * Returns a reference to the constructor function.
+     * @memberof! ch.Countdown.prototype
+     * @function
+     */
+    Countdown.prototype.constructor = Countdown;
+
+    /**
+     * Configuration by default.
+     * @type {Object}
+     * @private
+     */
+    Countdown.prototype._defaults = {
+        'plural': '# characters left.',
+        'singular': '# character left.',
+        'max': 500,
+        'counter': 'length',
+        'urlLength': 23,
+        'lineBreak': 1,
+        'hardLimit': false,
+        'validation': false
+    };
+
+    /**
+     * Initialize a new instance of Countdown and merge custom options with defaults options.
+     * @memberof! ch.Countdown.prototype
+     * @function
+     * @private
+     * @returns {countdown}
+     */
+    Countdown.prototype._init = function (el, options) {
+        // Call to its parent init method
+        parent._init.call(this, el, options);
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+
+            /**
+             * Create the "id" attribute.
+             * @type {String}
+             * @private
+             */
+            messageID = 'ch-countdown-message-' + that.uid;
+
+        /**
+         * ICU-style message of remaining amount of characters. It's built from the singular and plural messages when there isn't a message.
+         * @type {String}
+         * @private
+         */
+        this._message = this._options.message || '{count, plural, =1 {' + this._options.singular + '} other {' + this._options.plural + '}}';
+
+        if (typeof this._options.counter !== 'function' && !Countdown.counters.hasOwnProperty(this._options.counter)) {
+            throw new window.Error('ch.Countdown: The counter "' + this._options.counter + '" doesn\'t exist.');
+        }
+
+        /**
+         * The countdown trigger.
+         * @type {HTMLTextAreaElement}
+         * @example
+         * // Gets the countdown trigger.
+         * countdown.trigger;
+         */
+        this.trigger = this._el;
+
+        /**
+         * The segmenter of user-perceived characters, reused on each count.
+         * @type {Intl.Segmenter}
+         * @private
+         */
+        this._segmenter = (window.Intl !== undefined && window.Intl.Segmenter !== undefined) ? new window.Intl.Segmenter() : undefined;
+
+        // Every change of the content (typing, pasting, cutting, dropping) fires "input"
+        tiny.on(this.trigger, 'input', function () { that._count(); });
+
+        // Cut the text before it's inserted, so it doesn't get into the undo history
+        if (this._options.hardLimit) {
+            tiny.on(this.trigger, 'beforeinput', function (event) { that._limitInput(event); });
+        }
+
+        /**
+         * Amounts of remaining characters from which the user is warned, from the greatest to the smallest.
+         * @type {Array}
+         * @private
+         */
+        this._thresholds = [].concat(this._options.warnAt === undefined ? [] : this._options.warnAt).sort(function (a, b) {
+            return b - a;
+        });
+
+        /**
+         * Amount of free characters until full the field.
+         * @type {Number}
+         * @private
+         */
+        that._remaining = that._options.max - that._contentLength();
+
+        /**
+         * The countdown container.
+         * @type {HTMLParagraphElement}
+         */
+        that.container = (function () {
+            var parent = tiny.parent(that._el);
+            parent.insertAdjacentHTML('beforeend', '<span class="ch-countdown ch-form-hint" id="' + messageID + '">' + that._formatMessage() + '</span>');
+
+            return parent.querySelector('#' + messageID);
+        }());
+
+        this._updateWarning();
+
+        if (this._options.validation) { this._addValidation(); }
+
+        this.on('disable', this._removeError);
+
+        return this;
+    };
+
+    /**
+     * Returns the length of value (or a given value), measured by the counter.
+     * @function
+     * @private
+     * @param {String} [value] A given value. Default: the value of the form control.
+     * @returns {Number}
+     */
+    Countdown.prototype._contentLength = function (value) {
+        var counter = this._options.counter,
+            // Amount of line breaks, normalized from CRLF and CR
+            lineBreaks;
+
+        value = (value === undefined) ? this._el.value : value;
+
+        // Custom counters take the value as it is
+        if (typeof counter === 'function') {
+            return counter.call(this, value);
+        }
+
+        value = value.replace(/\r\n?/g, '\n');
+
+        if (counter === 'words') {
+            return Countdown.counters.words.call(this, value, this._options);
+        }
+
+        lineBreaks = (value.match(/\n/g) || []).length;
+
+        return Countdown.counters[counter].call(this, value, this._options) + (lineBreaks * (this._options.lineBreak - 1));
+    };
+
+    /**
+     * Returns the message of remaining amount of characters.
+     * @function
+     * @private
+     * @returns {String}
+     */
+    Countdown.prototype._formatMessage = function () {
+        return formatMessage(this._message, {
+            'count': this._remaining,
+            'max': this._options.max
+        });
+    };
+
+    /**
+     * Returns the longest beginning of a given text that can be inserted between other two texts without exceeding the maximum.
+     * @function
+     * @private
+     * @param {String} before The text before the insertion.
+     * @param {String} text The text to insert.
+     * @param {String} after The text after the insertion.
+     * @returns {String}
+     */
+    Countdown.prototype._fit = function (before, text, after) {
+        var characters = splitCharacters(text),
+            min = 0,
+            max = characters.length,
+            middle;
+
+        // Binary search of the amount of characters that fits
+        while (min < max) {
+            middle = Math.ceil((min + max) / 2);
+
+            if (this._contentLength(before + characters.slice(0, middle).join('') + after) <= this._options.max) {
+                min = middle;
+            } else {
+                max = middle - 1;
+            }
+        }
+
+        return characters.slice(0, min).join('');
+    };
+
+    /**
+     * Cuts the text that the user is about to insert when it exceeds the maximum.
+     * @function
+     * @private
+     * @param {InputEvent} event The "beforeinput" event of the form control.
+     */
+    Countdown.prototype._limitInput = function (event) {
+        var el = this._el,
+            data = event.data,
+            before,
+            after,
+            text;
+
+        // The composition of characters can't be cancelled, and dropped text isn't inserted at the caret
+        if (!this._enabled || event.isComposing || !/^(insertText|insertReplacementText|insertFromPaste|insertLineBreak)$/.test(event.inputType)) {
+            return;
+        }
+
+        if (event.inputType === 'insertLineBreak') {
+            data = '\n';
+        } else if ((data === null || data === undefined) && event.dataTransfer) {
+            data = event.dataTransfer.getData('text/plain');
+        }
+
+        if (typeof data !== 'string') { return; }
+
+        before = el.value.slice(0, el.selectionStart);
+        after = el.value.slice(el.selectionEnd);
+
+        if (this._contentLength(before + data + after) <= this._options.max) { return; }
+
+        event.preventDefault();
+
+        text = this._fit(before, data, after);
+
+        if (text === '') { return; }
+
+        // Insert as the browser does to keep the undo history, or change the value when it isn't possible
+        if (!document.execCommand('insertText', false, text)) {
+            el.value = before + text + after;
+            el.setSelectionRange(before.length + text.length, before.length + text.length);
+            this._count();
+        }
+    };
+
+    /**
+     * Removes the characters beyond the maximum that got into the form control anyway (i.e. dropped text), starting from the ones before the caret.
+     * @function
+     * @private
+     */
+    Countdown.prototype._truncate = function () {
+        var el = this._el,
+            value = el.value,
+            caret = el.selectionEnd,
+            after = value.slice(caret),
+            before;
+
+        // Remove from the end when the text after the caret exceeds the maximum by itself
+        if (this._contentLength(after) > this._options.max) {
+            before = this._fit('', value, '');
+            after = '';
+        } else {
+            before = this._fit('', value.slice(0, caret), after);
+        }
+
+        el.value = before + after;
+        el.setSelectionRange(before.length, before.length);
+    };
+
+    /**
+     * Switches the warning state depending on the remaining amount of characters.
+     * @function
+     * @private
+     */
+    Countdown.prototype._updateWarning = function () {
+        var remaining = this._remaining,
+            // The smallest threshold that was reached, when it's not exceeded
+            threshold = (remaining < 0) ? undefined : this._thresholds.filter(function (amount) {
+                return remaining <= amount;
+            }).pop();
+
+        if (threshold === this._threshold) { return; }
+
+        if (this._threshold !== undefined) {
+            tiny.removeClass(this.container, 'ch-countdown-warning');
+            tiny.removeClass(this.container, 'ch-countdown-warning-' + this._threshold);
+        }
+
+        /**
+         * The current threshold of warning. It's undefined when there isn't a warning.
+         * @type {Number}
+         * @private
+         */
+        this._threshold = threshold;
+
+        if (threshold === undefined) { return; }
+
+        tiny.addClass(this.container, 'ch-countdown-warning');
+        tiny.addClass(this.container, 'ch-countdown-warning-' + threshold);
+
+        /**
+         * Event emitted when the remaining amount of characters reaches one of the thresholds of warning.
+         * @event ch.Countdown#warn
+         * @example
+         * // Subscribe to "warn" event.
+         * countdown.on('warn', function (threshold, remaining) {
+         *     // Some code here!
+         * });
+         */
+        this.emit('warn', threshold, remaining);
+    };
+
+    /**
+     * Adds the condition of the maximum to the ch.Validation of the form control, or creates one.
+     * @function
+     * @private
+     */
+    Countdown.prototype._addValidation = function () {
+        var that = this,
+            condition = {
+                'name': 'countdown',
+                'message': formatMessage(typeof this._options.validation === 'string' ? this._options.validation : 'Use up to {max} characters.', {
+                    'max': this._options.max
+                }),
+                'fn': function (value) {
+                    return !that._enabled || that._contentLength(value) <= that._options.max;
+                }
+            };
+
+        ch.Validation._addCondition(this, condition);
+    };
+
+    /**
+     * Process input of data on form control and updates remaining amount of characters or limits the content length. Also, change the visible message of remaining characters.
+     * @function
+     * @private
+     * @returns {countdown}
+     */
+    Countdown.prototype._count = function () {
+
+        if (!this._enabled) {
+            return this;
+        }
+
+        var length = this._contentLength();
+
+        // Remove what exceeds the maximum when the limit is strict
+        if (this._options.hardLimit && length > this._options.max) {
+            this._truncate();
+            length = this._contentLength();
+        }
+
+        this._remaining = this._options.max - length;
+
+        // Limit Count alert the user
+        if (length <= this._options.max) {
+
+            if (this._exceeded) {
+                // Update exceeded flag
+                this._exceeded = false;
+                this._removeError();
+            }
+
+        } else if (length > this._options.max) {
+
+            /**
+             * Event emitted when the lenght of characters is exceeded.
+             * @event ch.Countdown#exceed
+             * @example
+             * // Subscribe to "exceed" event.
+             * countdown.on('exceed', function () {
+             *     // Some code here!
+             * });
+             */
+            this.emit('exceed');
+
+            // Update exceeded flag
+            this._exceeded = true;
+
+            this.trigger.setAttribute('aria-invalid', 'true');
+            tiny.addClass(this.trigger, 'ch-validation-error');
+
+            tiny.addClass(this.container, 'ch-countdown-exceeded');
+        }
+
+        this._updateWarning();
+
+        // Change visible message of remaining characters
+        // Update DOM text
+        this.container.innerText = this._formatMessage();
+
+        return this;
+
+    };
+
+     /**
+     * Process input of data on form control and updates remaining amount of characters or limits the content length. Also, change the visible message of remaining characters.
+     * @function
+     * @private
+     * @returns {countdown}
+     */
+    Countdown.prototype._removeError = function () {
+        tiny.removeClass(this.trigger, 'ch-validation-error');
+        this.trigger.setAttribute('aria-invalid', 'false');
+
+        tiny.removeClass(this.container, 'ch-countdown-exceeded');
+
+        return this;
+    };
+
+    /**
+     * Destroys a Countdown instance.
+     * @memberof! ch.Countdown.prototype
+     * @function
+     * @example
+     * // Destroy a countdown
+     * countdown.destroy();
+     * // Empty the countdown reference
+     * countdown = undefined;
+     */
+    Countdown.prototype.destroy = function () {
+        var parentElement = tiny.parent(this.container);
+        parentElement.removeChild(this.container);
+
+        tiny.trigger(window.document, ch.onlayoutchange);
+
+        parent.destroy.call(this);
+
+        ch.Validation._removeCondition(this, 'countdown');
+
+        return;
+    };
+
+    // Factorize
+    ch.factory(Countdown, normalizeOptions);
+
+}(this, this.ch));
+
+(function (window, ch) {
+    'use strict';
+
+
+    function highlightSuggestion(target) {
+        var posinset;
+
+        Array.prototype.forEach.call(this._suggestionsList.childNodes, function(e) {
+            if(e.contains(target)){
+                posinset = parseInt(target.getAttribute('aria-posinset'), 10) - 1;
+            }
+        });
+
+        this._highlighted = (typeof posinset === 'number') ? posinset : null;
+
+        this._toogleHighlighted();
+
+        return this;
+    }
+
+    /**
+     * Returns the item of the suggestions that contains a given element, or null when there isn't one.
+     * @private
+     * @param {HTMLElement} target A given element.
+     * @param {HTMLElement} container The element that contains the suggestions.
+     * @param {String} itemClass The class name of the items.
+     * @returns {HTMLLIElement}
+     */
+    function getItem(target, container, itemClass) {
+        while (target !== null && target !== container) {
+            if (target.nodeName === 'LI' && tiny.hasClass(target, itemClass)) {
+                return target;
+            }
+            target = target.parentElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns the value of a suggestion: the string itself, or the value (or the label) of an object.
+     * @private
+     * @param {(String | Object)} suggestion A given suggestion.
+     * @returns {String}
+     */
+    function getValue(suggestion) {
+        if (typeof suggestion === 'object' && suggestion !== null) {
+            return String(suggestion.value !== undefined ? suggestion.value : suggestion.label);
+        }
+
+        return String(suggestion);
+    }
+
+    /**
+     * Escapes a value to be safely rendered as HTML.
+     * @private
+     */
+    var escapeHTML = ch.util.escapeHTML;
+
+    /**
+     * Returns a text in lower case and without accents, character by character. The characters that only add an accent are empty.
+     * @private
+     * @param {String} text A given text.
+     * @returns {Array}
+     */
+    function simplifyCharacters(text) {
+        return text.split('').map(function (character) {
+            if (character.normalize !== undefined) {
+                character = character.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            }
+
+            return character.toLowerCase().charAt(0);
+        });
+    }
+
+    /**
+     * Finds a query in a label without taking into account the case and the accents, as a part of the label or as characters in the same order. Returns how good the match is and the ranges of the label that matched, or null when there isn't a match.
+     * @private
+     * @param {String} label A given label.
+     * @param {String} query A given query.
+     * @returns {Object}
+     * @example
+     * fuzzyMatch('Cámara digital', 'camara'); // {'score': 250, 'ranges': [[0, 6]]}
+     */
+    function fuzzyMatch(label, query) {
+        var characters = simplifyCharacters(label),
+            search = simplifyCharacters(query.trim()).join(''),
+            // Position in the label of each simplified character
+            positions = [],
+            text = '',
+            ranges = [],
+            index,
+            start,
+            end,
+            i;
+
+        characters.forEach(function (character, position) {
+            if (character !== '') {
+                positions.push(position);
+                text += character;
+            }
+        });
+
+        if (search === '') {
+            return null;
+        }
+
+        // Returns the end of a match in the label, including the accents of its last character
+        function getEnd(position) {
+            var after = positions[position] + 1;
+
+            while (after < characters.length && characters[after] === '') {
+                after += 1;
+            }
+
+            return after;
+        }
+
+        index = text.indexOf(search);
+
+        // A part of the label: the sooner the better, mainly at the start of a word
+        if (index !== -1) {
+            return {
+                'score': 200 - Math.min(index, 50) + ((index === 0 || !/[a-z0-9]/.test(text.charAt(index - 1))) ? 50 : 0) + (search.length === text.length ? 100 : 0),
+                'ranges': [[positions[index], getEnd(index + search.length - 1)]]
+            };
+        }
+
+        // Characters in the same order: the closer the better
+        index = 0;
+
+        for (i = 0; i < text.length && index < search.length; i += 1) {
+            if (text.charAt(i) === search.charAt(index)) {
+                // Join the consecutive characters
+                if (ranges.length > 0 && ranges[ranges.length - 1][1] === positions[i]) {
+                    ranges[ranges.length - 1][1] = getEnd(i);
+                } else {
+                    ranges.push([positions[i], getEnd(i)]);
+                }
+                start = (start === undefined) ? i : start;
+                index += 1;
+                end = i;
+            }
+        }
+
+        if (index < search.length) {
+            return null;
+        }
+
+        return {
+            'score': Math.max(1, 100 - ((end - start + 1) - search.length)),
+            'ranges': ranges
+        };
+    }
+
+    /**
+     * Returns the HTML of the label of a suggestion, with the given ranges (or the matches of the query) highlighted.
+     * @private
+     * @param {String} label The label of a suggestion.
+     * @param {Array} [ranges] Collection of the start and the end of each part to highlight, like [[0, 3]].
+     * @param {String} query The query of the suggestions.
+     * @returns {String}
+     */
+    function highlightLabel(label, ranges, query) {
+        var html = '',
+            last = 0;
+
+        if (ranges === undefined) {
+            label = escapeHTML(label);
+            query = escapeHTML(query);
+
+            return (query === '') ? label : label.replace(new RegExp('(' + query.replace(/([.*+?^=!:${}()|[\]\/\\])/g, '\\$1') + ')', 'ig'), '<strong>$1</strong>');
+        }
+
+        ranges.slice().sort(function (a, b) { return a[0] - b[0]; }).forEach(function (range) {
+            html += escapeHTML(label.slice(last, range[0])) + '<mark>' + escapeHTML(label.slice(range[0], range[1])) + '</mark>';
+            last = range[1];
+        });
+
+        return html + escapeHTML(label.slice(last));
+    }
+
+    /**
+     * Prefix of the keys of the localStorage where the histories are saved.
+     * @private
+     * @constant
+     * @type {String}
+     */
+    var HISTORY_PREFIX = 'ch-autocomplete-history:';
+
+    /**
+     * Keeps a limited amount of values, removing the least recently used first.
+     * @constructor
+     * @private
+     * @param {Number} size The maximum amount of values.
+     */
+    function Cache(size) {
+        this._size = size;
+        this._keys = [];
+        this._values = [];
+    }
+
+    /**
+     * Returns the value of a given key, and marks it as the most recently used.
+     * @private
+     * @param {String} key A given key.
+     * @returns {*} The value, or undefined when there isn't a value.
+     */
+    Cache.prototype.get = function (key) {
+        var index = this._keys.indexOf(key),
+            value;
+
+        if (index === -1) {
+            return undefined;
+        }
+
+        value = this._values[index];
+        this.set(key, value);
+
+        return value;
+    };
+
+    /**
+     * Saves the value of a given key as the most recently used.
+     * @private
+     * @param {String} key A given key.
+     * @param {*} value A given value.
+     */
+    Cache.prototype.set = function (key, value) {
+        var index = this._keys.indexOf(key);
+
+        if (index !== -1) {
+            this._keys.splice(index, 1);
+            this._values.splice(index, 1);
+        }
+
+        this._keys.push(key);
+        this._values.push(value);
+
+        if (this._keys.length > this._size) {
+            this._keys.shift();
+            this._values.shift();
+        }
+    };
+
+    var specialKeyCodeMap = {
+        9: 'tab',
+        27: 'esc',
+        37: 'left',
+        39: 'right',
+        13: 'enter',
+        38: 'up',
+        40: 'down'
+    };
+
+    /**
+     * Autocomplete Component shows a list of suggestions for a HTMLInputElement.
+     * @memberof ch
+     * @constructor
+     * @augments ch.Component
+     * @requires ch.Popover
+     * @param {HTMLElement} [el] A HTMLElement to create an instance of ch.Autocomplete.
+     * @param {Object} [options] Options to customize an instance.
+     * @param {String} [options.loadingClass] Default: "ch-autocomplete-loading".
+     * @param {String} [options.highlightedClass] Default: "ch-autocomplete-highlighted".
+     * @param {String} [options.itemClass] Default: "ch-autocomplete-item".
+     * @param {String} [options.addClass] CSS class names that will be added to the container on the component initialization. Default: "ch-box-lite ch-autocomplete".
+     * @param {Number} [options.keystrokesTime] Default: 150.
+     * @param {Boolean} [options.html] Default: false.
+     * @param {String} [options.side] The side option where the target element will be positioned. You must use: "left", "right", "top", "bottom" or "center". Default: "bottom".
+     * @param {String} [options.align] The align options where the target element will be positioned. You must use: "left", "right", "top", "bottom" or "center". Default: "left".
+     * @param {Number} [options.offsetX] The offsetX option specifies a distance to displace the target horitontally.
+     * @param {Number} [options.offsetY] The offsetY option specifies a distance to displace the target vertically.
+     * @param {String} [options.positioned] The positioned option specifies the type of positioning used. You must use: "absolute" or "fixed". Default: "absolute".
+     * @param {(Boolean | String)} [options.wrapper] Wrap the reference element and place the container into it instead of body. When value is a string it will be applied as additional wrapper class. Default: false.
+     * @param {Number} [options.minChars] Number of characters required to begin to suggest. Default: 1.
+     * @param {(String | Function | Array)} [options.source] Where the suggestions come from. A URL requested as JSON, where "{{query}}" is replaced by the encoded query, a function that receives the query and an AbortSignal, and returns a promise for the suggestions, or an array of suggestions to filter without taking into account the case and the accents. It's requested after the "keystrokesTime" and only when there are "minChars".
+     * @param {Number} [options.maxSuggestions] Maximum amount of suggestions filtered from an array source, from the best match. Default: 10.
+     * @param {Function} [options.parse] A function that receives the response of the source and the query, and returns the suggestions. Default: the response is used as the suggestions.
+     * @param {Number} [options.cacheSize] Amount of queries whose suggestions are kept to avoid requesting them again. Default: 20.
+     * @param {(Boolean | String)} [options.history] Remembers the queries that the user selects or submits, and shows them when the form control is focused and empty. A string is used as the namespace of the history in the localStorage, shared by the instances with the same namespace. Default: false.
+     * @param {Number} [options.historySize] Maximum amount of queries in the history. Default: 5.
+     * @param {String} [options.historyTitle] Title of the group of the history. Default: "Recent searches".
+     * @param {Boolean} [options.multiple] Turns each selected suggestion into a removable chip before the form control, to select several ones. The values are sent joined by the "separator" in a hidden input with the name of the form control. Default: false.
+     * @param {Number} [options.maxItems] Maximum amount of suggestions that can be selected in multiple mode.
+     * @param {String} [options.separator] Text between the values of the hidden input in multiple mode. Default: ",".
+     * @param {String} [options.removeText] Accessible label of the controls that remove a query from the history or a chip, before the label of the chip. Default: "Remove".
+     * @param {Array} [options.groups] Groups in which the suggestions are shown, in order. Each one has the "name" of the category of its suggestions, a "title" and optionally a "template" for its suggestions. A string template replaces "{{property}}" by the escaped property of the suggestion, and "{{label}}" by the highlighted label. A function template receives the suggestion and the highlighted label, and returns the HTML. The suggestions without a group are shown first.
+     *
+     * @returns {autocomplete}
+     * @example
+     * // Create a new AutoComplete.
+     * var autocomplete = new AutoComplete([el], [options]);
+     * @example
+     * // Create a new AutoComplete with configuration.
+     * var autocomplete = new AutoComplete('.my-autocomplete', {
+     *  'loadingClass': 'custom-loading',
+     *  'highlightedClass': 'custom-highlighted',
+     *  'itemClass': 'custom-item',
+     *  'addClass': 'carousel-cities',
+     *  'keystrokesTime': 600,
+     *  'html': true,
+     *  'side': 'center',
+     *  'align': 'center',
+     *  'offsetX': 0,
+     *  'offsetY': 0,
+     *  'positioned': 'fixed'
+     * });
+     * @example
+     * // Create a new AutoComplete that gets the suggestions from a URL.
+     * var autocomplete = new AutoComplete('.my-autocomplete', {
+     *  'source': '/countries?q={{query}}',
+     *  'minChars': 2
+     * });
+     * @example
+     * // Create a new AutoComplete that gets the suggestions from a function.
+     * var autocomplete = new AutoComplete('.my-autocomplete', {
+     *  'source': function (query, signal) {
+     *      // The signal is undefined where AbortController isn't supported
+     *      return fetch('/countries?q=' + encodeURIComponent(query), signal ? {'signal': signal} : {}).then(function (response) {
+     *          return response.json();
+     *      });
+     *  },
+     *  'parse': function (response) {
+     *      return response.countries;
+     *  }
+     * });
+     * @example
+     * // Create a new AutoComplete that filters the options of a datalist.
+     * var autocomplete = new AutoComplete('.my-autocomplete', {
+     *  'source': Array.prototype.map.call(document.querySelectorAll('#categories option'), function (option) {
+     *      return option.value;
+     *  })
+     * });
+     * @example
+     * // Create a new AutoComplete that shows the suggestions in groups.
+     * var autocomplete = new AutoComplete('.my-autocomplete', {
+     *  'groups': [
+     *      {'name': 'categories', 'title': 'Categories'},
+     *      {'name': 'products', 'title': 'Products', 'template': '<img src="{{thumbnail}}" alt=""> {{label}} <em>{{price}}</em>'}
+     *  ]
+     * });
+     * @example
+     * // Create a new AutoComplete to select up to 5 tags.
+     * var autocomplete = new AutoComplete('.my-autocomplete', {
+     *  'source': ['Audio', 'Celulares', 'Computación', 'Televisores'],
+     *  'multiple': true,
+     *  'maxItems': 5
+     * });
+     * @example
+     * // Create a new AutoComplete that remembers the recent searches.
+     * var autocomplete = new AutoComplete('.my-autocomplete', {
+     *  'history': 'search',
+     *  'historySize': 10
+     * });
+     */
+    function Autocomplete(el, options) {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        this._init(el, options);
+
+        if (this.initialize !== undefined) {
+            /**
+             * If you define an initialize method, it will be executed when a new Autocomplete is created.
+             * @memberof! ch.Autocomplete.prototype
+             * @function
+             */
+            this.initialize();
+        }
+
+        /**
+         * Event emitted when the component is ready to use.
+         * @event ch.Autocomplete#ready
+         * @example
+         * // Subscribe to "ready" event.
+         * autocomplete.on('ready',function () {
+         *     // Some code here!
+         * });
+         */
+        window.setTimeout(function () { that.emit('ready'); }, 50);
+
+        return this;
+    }
+
+    // Inheritance
+    tiny.inherits(Autocomplete, ch.Component);
+
+    var parent = Autocomplete.super_.prototype,
+        // there is no mouseenter to highlight the item, so it happens when the user do mousedown
+        highlightEvent = (tiny.support.touch) ? ch.onpointerdown : 'mouseover';
+
+    /**
+     * The name of the component.
+     * @type {String}
+     */
+    Autocomplete.prototype.name = 'autocomplete';
+
+    /**
+     * Returns a reference to the constructor function.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     */
+    Autocomplete.prototype.constructor = Autocomplete;
+
+    /**
+     * Configuration by default.
+     * @type {Object}
+     * @private
+     */
+    Autocomplete.prototype._defaults = {
+        'loadingClass': 'ch-autocomplete-loading',
+        'highlightedClass': 'ch-autocomplete-highlighted',
+        'itemClass': 'ch-autocomplete-item',
+        'addClass': 'ch-box-lite ch-autocomplete',
+        'side': 'bottom',
+        'align': 'left',
+        'html': false,
+        '_hiddenby': 'none',
+        'keystrokesTime': 150,
+        '_itemTemplate': '<li class="{{itemClass}}"{{suggestedData}}>{{term}}<i class="ch-icon-arrow-up" data-js="ch-autocomplete-complete-query"></i></li>',
+        'wrapper': false,
+        'minChars': 1,
+        'cacheSize': 20,
+        'maxSuggestions': 10,
+        'multiple': false,
+        'separator': ',',
+        'history': false,
+        'historySize': 5,
+        'historyTitle': 'Recent searches',
+        'removeText': 'Remove'
+    };
+
+    /**
+     * Initialize a new instance of Autocomplete and merge custom options with defaults options.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._init = function (el, options) {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        // Call to its parent init method
+        parent._init.call(this, el, options);
+
+        // creates the basic item template for this instance
+        this._options._itemTemplate = this._options._itemTemplate.replace('{{itemClass}}', this._options.itemClass);
+
+        if (this._options.html) {
+            // remove the suggested data space when html is configured
+            this._options._itemTemplate = this._options._itemTemplate.replace('{{suggestedData}}', '');
+        }
+
+        // The component who shows and manage the suggestions.
+        this._popover = new ch.Popover({
+            'reference': this._el,
+            'content': this._suggestionsList,
+            'side': this._options.side,
+            'align': this._options.align,
+            'addClass': this._options.addClass,
+            'hiddenby': this._options._hiddenby,
+            'width': this._el.getBoundingClientRect().width + 'px',
+            'fx': this._options.fx,
+            'wrapper': this._options.wrapper
+        });
+
+        /**
+         * The autocomplete container.
+         * @type {HTMLDivElement}
+         * @example
+         * // Gets the autocomplete container to append or prepend content.
+         * autocomplete.container.appendChild(document.createElement('div'));
+         */
+        this.container = this._popover.container;
+
+        this.container.setAttribute('aria-hidden', 'true');
+
+        /**
+         * The autocomplete suggestion list.
+         * @type {HTMLUListElement}
+         * @private
+         */
+        this._suggestionsList = document.createElement('ul');
+        tiny.addClass(this._suggestionsList, 'ch-autocomplete-list');
+
+        this.container.appendChild(this._suggestionsList);
+
+        /**
+         * Selects the items
+         * @memberof! ch.Autocomplete.prototype
+         * @function
+         * @private
+         * @returns {autocomplete}
+         */
+
+        this._highlightSuggestion = function (event) {
+            var target = event.target || event.srcElement,
+                item = getItem(target, that.container, that._options.itemClass);
+
+            if (item !== null) {
+                highlightSuggestion.call(that, item);
+            }
+
+        };
+
+        tiny.on(this.container, highlightEvent, this._highlightSuggestion);
+
+
+        tiny.on(this.container, ch.onpointertap, function itemEvents(event) {
+            var target = event.target || event.srcElement;
+
+            // completes the value, it is a shortcut to avoid write the complete word
+            if (target.getAttribute('data-js') === 'ch-autocomplete-complete-query' && !that._options.html) {
+                event.preventDefault();
+                that._el.value = that._suggestions[that._highlighted];
+                that.emit('type', that._el.value);
+                return;
+            }
+
+            if (getItem(target, that.container, that._options.itemClass) !== null) {
+                that._selectSuggestion();
+            }
+        });
+
+        /**
+         * The autocomplete trigger.
+         * @type {HTMLElement}
+         */
+        this.trigger = this._el;
+
+        this.trigger.setAttribute('aria-autocomplete', 'list');
+        this.trigger.setAttribute('aria-haspopup', 'true');
+        this.trigger.setAttribute('aria-owns', this.container.getAttribute('id'));
+        this.trigger.setAttribute('autocomplete', 'off');
+
+        tiny.on(this.trigger, 'focus', function turnon() { that._turn('on'); });
+        tiny.on(this.trigger, 'blur', function turnoff() {that._turn('off'); });
+
+        // Turn on when the input element is already has focus
+        if (this._el === document.activeElement && !this._enabled) {
+            this._turn('on');
+        }
+
+        // The number of the selected item or null when no selected item is.
+        this._highlighted = null;
+
+        // Collection of suggestions to be shown.
+        this._suggestions = [];
+
+        // Collection of the data of each suggestion shown (a string or an object).
+        this._suggestionsData = [];
+
+        // Used to show when the user cancel the suggestions
+        this._originalQuery = this._currentQuery = this._el.value;
+
+        /**
+         * The suggestions of the last queries to the source.
+         * @type {Cache}
+         * @private
+         */
+        this._cache = new Cache(this._options.cacheSize);
+
+        /**
+         * The request to the source in progress, with its query and its AbortController. It's null when there isn't a request.
+         * @type {Object}
+         * @private
+         */
+        this._request = null;
+
+        if (this._options.multiple) {
+            this._addChips();
+        }
+
+        if (this._options.history) {
+            this._addHistory();
+        }
+
+        if (this._configureShortcuts !== undefined) {
+            this._configureShortcuts();
+        }
+
+        return this;
+    };
+
+    /**
+     * Creates the chips of the selected suggestions and the hidden input with their values, for the multiple mode.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._addChips = function () {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        /**
+         * The suggestions selected in multiple mode.
+         * @type {Array}
+         * @private
+         */
+        this._items = [];
+
+        /**
+         * The list of chips of the selected suggestions.
+         * @type {HTMLUListElement}
+         * @private
+         */
+        this._chips = document.createElement('ul');
+        this._chips.setAttribute('class', 'ch-autocomplete-chips');
+        this._el.parentNode.insertBefore(this._chips, this._el);
+
+        /**
+         * The hidden input that sends the values of the selected suggestions.
+         * @type {HTMLInputElement}
+         * @private
+         */
+        this._hidden = document.createElement('input');
+        this._hidden.type = 'hidden';
+
+        // The values are sent instead of the text of the form control
+        if (this._el.name) {
+            this._hidden.name = this._el.name;
+            this._el.setAttribute('data-name', this._el.name);
+            this._el.removeAttribute('name');
+        }
+
+        this._el.parentNode.insertBefore(this._hidden, this._el.nextSibling);
+
+        tiny.on(this._chips, ch.onpointertap, function (event) {
+            var target = event.target || event.srcElement;
+
+            if (target.getAttribute('data-js') === 'ch-autocomplete-remove-chip') {
+                that.removeItem(tiny.parent(target, 'li').getAttribute('data-value'));
+                that._el.focus();
+            }
+        });
+
+        // Remove the last chip with backspace when there is nothing to delete
+        tiny.on(this.trigger, 'keydown', function (event) {
+            if ((event.which || event.keyCode) === 8 && that._el.value === '' && that._items.length > 0) {
+                that.removeItem(getValue(that._items[that._items.length - 1]));
+            }
+        });
+
+        return this;
+    };
+
+    /**
+     * Adds a suggestion to the selected ones in multiple mode, unless it was already selected or there isn't room for it.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {(String | Object)} suggestion A given suggestion.
+     * @returns {Boolean} Defines if the suggestion was added.
+     */
+    Autocomplete.prototype._addItem = function (suggestion) {
+        var value = getValue(suggestion),
+            label = (typeof suggestion === 'object') ? suggestion.label : suggestion;
+
+        if (this._isSelected(value) || this._isFull()) {
+            return false;
+        }
+
+        this._items.push(suggestion);
+
+        this._chips.insertAdjacentHTML('beforeend', [
+            '<li class="ch-autocomplete-chip" data-value="' + escapeHTML(value) + '">',
+            escapeHTML(label),
+            '<button type="button" class="ch-autocomplete-chip-remove" data-js="ch-autocomplete-remove-chip" aria-label="' + escapeHTML(this._options.removeText + ' ' + label) + '">&times;</button>',
+            '</li>'
+        ].join(''));
+
+        this._updateItems();
+
+        return true;
+    };
+
+    /**
+     * Updates the hidden input and the state of the form control after a change of the selected suggestions.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._updateItems = function () {
+        this._hidden.value = this._items.map(getValue).join(this._options.separator);
+
+        tiny[this._isFull() ? 'addClass' : 'removeClass'](this._chips, 'ch-autocomplete-chips-full');
+
+        return this;
+    };
+
+    /**
+     * Returns if a value was already selected in multiple mode.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {String} value A given value.
+     * @returns {Boolean}
+     */
+    Autocomplete.prototype._isSelected = function (value) {
+        return this._items.some(function (item) {
+            return getValue(item) === value;
+        });
+    };
+
+    /**
+     * Returns if the maximum amount of selected suggestions was reached in multiple mode.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Autocomplete.prototype._isFull = function () {
+        return this._options.maxItems !== undefined && this._items.length >= this._options.maxItems;
+    };
+
+    /**
+     * Remembers the queries that the user selects or submits, and shows them when the form control is focused and empty.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._addHistory = function () {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            recent = (this._options.groups || []).filter(function (group) {
+                return group.name === 'recent';
+            });
+
+        /**
+         * The key of the localStorage where the history is saved.
+         * @type {String}
+         * @private
+         */
+        this._historyKey = HISTORY_PREFIX + (typeof this._options.history === 'string' ? this._options.history : (this._el.name || this._el.id || 'default'));
+
+        /**
+         * The queries of the history, from the newest to the oldest. It's used when the localStorage isn't available.
+         * @type {Array}
+         * @private
+         */
+        this._history = [];
+
+        // The history is shown on top, with a control to remove each query
+        if (recent.length === 0) {
+            this._options.groups = [{
+                'name': 'recent',
+                'title': this._options.historyTitle,
+                'template': function (suggestion, label) {
+                    // The button keeps the query, whatever the item renders
+                    return label + '<button type="button" class="ch-autocomplete-remove" data-js="ch-autocomplete-remove-history" data-suggested="' + escapeHTML(suggestion.label) + '" aria-label="' + escapeHTML(that._options.removeText) + '">&times;</button>';
+                }
+            }].concat(this._options.groups || []);
+        }
+
+        // Remove a query from the history without selecting it
+        tiny.on(this.container, ch.onpointertap, function (event) {
+            var target = event.target || event.srcElement;
+
+            if (target.getAttribute('data-js') !== 'ch-autocomplete-remove-history') { return; }
+
+            event.preventDefault();
+            event.stopPropagation();
+
+            that._removeFromHistory(target.getAttribute('data-suggested'));
+            that._el.focus();
+            that._showHistory();
+        }, true);
+
+        tiny.on(this.trigger, 'focus', function () {
+            if (that._el.value === '') {
+                that._showHistory();
+            }
+        });
+
+        this.on('select', function () {
+            that._addToHistory(that._el.value);
+        });
+
+        /**
+         * The form where the form control is, to remember the submitted queries.
+         * @type {HTMLFormElement}
+         * @private
+         */
+        this._form = tiny.parent(this._el, 'form');
+
+        /**
+         * Remembers the query when the form is submitted.
+         * @function
+         * @private
+         */
+        this._submitHistory = function () {
+            that._addToHistory(that._el.value);
+        };
+
+        if (this._form) {
+            tiny.on(this._form, 'submit', this._submitHistory);
+        }
+
+        return this;
+    };
+
+    /**
+     * Returns the queries of the history, from the newest to the oldest.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {Array}
+     */
+    Autocomplete.prototype._getHistory = function () {
+        var saved;
+
+        try {
+            saved = JSON.parse(window.localStorage.getItem(this._historyKey));
+        } catch (error) {
+            return this._history;
+        }
+
+        return Array.isArray(saved) ? saved : this._history;
+    };
+
+    /**
+     * Saves the queries of the history.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {Array} queries The queries, from the newest to the oldest.
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._setHistory = function (queries) {
+        this._history = queries;
+
+        try {
+            if (queries.length === 0) {
+                window.localStorage.removeItem(this._historyKey);
+            } else {
+                window.localStorage.setItem(this._historyKey, JSON.stringify(queries));
+            }
+        } catch (error) {
+            // The history is kept only for this page when the storage is full or disabled
+        }
+
+        return this;
+    };
+
+    /**
+     * Adds a query to the top of the history.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {String} query A given query.
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._addToHistory = function (query) {
+        query = (query || '').trim();
+
+        if (query === '') {
+            return this;
+        }
+
+        return this._setHistory([query].concat(this._getHistory().filter(function (saved) {
+            return saved.toLowerCase() !== query.toLowerCase();
+        })).slice(0, this._options.historySize));
+    };
+
+    /**
+     * Removes a query from the history.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {String} query A given query.
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._removeFromHistory = function (query) {
+        return this._setHistory(this._getHistory().filter(function (saved) {
+            return saved !== query;
+        }));
+    };
+
+    /**
+     * Shows the queries of the history as suggestions.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._showHistory = function () {
+        this._currentQuery = '';
+
+        return this.suggest(this._getHistory().map(function (query) {
+            return {
+                'label': query,
+                'category': 'recent'
+            };
+        }));
+    };
+
+    /**
+     * Turns on the ability off listen the keystrokes
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._turn = function (turn) {
+        var that = this;
+
+        if (!this._enabled) {
+            return this;
+        }
+
+
+        function turnOn() {
+            that._currentQuery = that._el.value.trim();
+            // when the user writes
+            window.clearTimeout(that._stopTyping);
+            if (that._currentQuery.length >= that._options.minChars) {
+                that._stopTyping = window.setTimeout(function() {
+
+                    tiny.addClass(that.trigger, that._options.loadingClass);
+                    /**
+                     * Event emitted when the user is typing.
+                     * @event ch.Autocomplete#type
+                     * @example
+                     * // Subscribe to "type" event with ajax call
+                     * autocomplete.on('type', function (userInput) {
+                     *      $.ajax({
+                     *          'url': '/countries?q=' + userInput,
+                     *          'dataType': 'json',
+                     *          'success': function (response) {
+                     *              autocomplete.suggest(response);
+                     *          }
+                     *      });
+                     * });
+                     * @example
+                     * // Subscribe to "type" event with jsonp
+                     * autocomplete.on('type', function (userInput) {
+                     *       $.ajax({
+                     *           'url': '/countries?q='+ userInput +'&callback=parseResults',
+                     *           'dataType': 'jsonp',
+                     *           'cache': false,
+                     *           'global': true,
+                     *           'context': window,
+                     *           'jsonp': 'parseResults',
+                     *           'crossDomain': true
+                     *       });
+                     * });
+                     */
+                    that.emit('type', that._currentQuery);
+
+                    if (that._options.source !== undefined) {
+                        that._requestSuggestions(that._currentQuery);
+                    }
+                }, that._options.keystrokesTime);
+            } else {
+                that._abortRequest();
+
+                if (that._options.history && that._currentQuery === '') {
+                    that._showHistory();
+                } else {
+                    that.suggest([]);
+                }
+            }
+        }
+
+        function turnOnFallback(e) {
+            if (specialKeyCodeMap[e.which || e.keyCode]) {
+                return;
+            }
+            // When keydown is fired that.trigger still has an old value
+            setTimeout(turnOn, 1);
+        }
+
+        this._originalQuery = this._el.value;
+
+        // IE8 don't support the input event at all
+        // IE9 is the only browser that doesn't fire the input event when characters are removed
+        var ua = navigator.userAgent;
+        var MSIE = (/(msie|trident)/i).test(ua) ?
+            ua.match(/(msie |rv:)(\d+(.\d+)?)/i)[2] : false;
+
+        if (turn === 'on') {
+            if (!MSIE || MSIE > 9) {
+                tiny.on(this.trigger, ch.onkeyinput, turnOn);
+            } else {
+                'keydown cut paste'.split(' ').forEach(function(evtName) {
+                    tiny.on(that.trigger, evtName, turnOnFallback);
+                });
+            }
+        } else if (turn === 'off') {
+            this.hide();
+            if (!MSIE || MSIE > 9) {
+                tiny.off(this.trigger, ch.onkeyinput, turnOn);
+            } else {
+                'keydown cut paste'.split(' ').forEach(function(evtName) {
+                    tiny.off(that.trigger, evtName, turnOnFallback);
+                });
+            }
+        }
+
+        return this;
+
+    };
+
+    /**
+     * Gets the suggestions of a given query from the cache or the source, and shows them if the query is still the current one.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {String} query A given query.
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._requestSuggestions = function (query) {
+        var that = this,
+            source = this._options.source,
+            parse = this._options.parse,
+            cached,
+            controller,
+            request,
+            promise;
+
+        // The suggestions of an array are filtered here, without requests
+        if (Array.isArray(source)) {
+            return this.suggest(this._filterSuggestions(source, query));
+        }
+
+        cached = this._cache.get(query);
+
+        if (cached !== undefined) {
+            this._abortRequest();
+            this.suggest(cached);
+
+            return this;
+        }
+
+        // Avoid to request again the query that is being requested
+        if (this._request !== null && this._request.query === query) {
+            return this;
+        }
+
+        // Only the request of the last query matters
+        this._abortRequest();
+
+        controller = (window.AbortController !== undefined) ? new window.AbortController() : undefined;
+
+        if (typeof source === 'function') {
+            // A source that throws is handled like a source that rejects
+            promise = new window.Promise(function (resolve) {
+                resolve(source.call(that, query, controller && controller.signal));
+            });
+        } else {
+            promise = window.fetch(source.replace(/\{\{query\}\}/g, window.encodeURIComponent(query)), {
+                'signal': controller && controller.signal
+            }).then(function (response) {
+                if (!response.ok) {
+                    throw new window.Error('ch.Autocomplete: The source responded with the status ' + response.status + '.');
+                }
+
+                return response.json();
+            });
+        }
+
+        request = this._request = {
+            'query': query,
+            'controller': controller
+        };
+
+        promise.then(function (response) {
+            var suggestions = (parse !== undefined) ? parse.call(that, response, query) : response;
+
+            // The response of an aborted request arrives anyway when the source ignores the signal
+            if (that._request !== request) { return; }
+
+            that._request = null;
+            that._cache.set(query, suggestions);
+
+            if (query === that._currentQuery) {
+                that.suggest(suggestions);
+            }
+
+        }).catch(function (error) {
+
+            if (that._request !== request) { return; }
+
+            that._request = null;
+
+            // hide the loading feedback
+            tiny.removeClass(that.trigger, that._options.loadingClass);
+
+            /**
+             * Event emitted when the source fails to give the suggestions.
+             * @event ch.Autocomplete#sourceerror
+             * @example
+             * // Subscribe to "sourceerror" event.
+             * autocomplete.on('sourceerror', function (error, query) {
+             *     // Some code here!
+             * });
+             */
+            that.emit('sourceerror', error, query);
+        });
+
+        return this;
+    };
+
+    /**
+     * Returns the suggestions of a collection that match a given query, from the best match, with the matched ranges to highlight.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {Array} collection The strings or objects with label to filter.
+     * @param {String} query A given query.
+     * @returns {Array}
+     */
+    Autocomplete.prototype._filterSuggestions = function (collection, query) {
+        var matches = [];
+
+        collection.forEach(function (suggestion, index) {
+            var label = (typeof suggestion === 'object') ? String(suggestion.label) : String(suggestion),
+                match = fuzzyMatch(label, query);
+
+            if (match !== null) {
+                matches.push({
+                    'index': index,
+                    'label': label,
+                    'score': match.score,
+                    // A copy of the suggestion with the ranges to highlight
+                    'suggestion': tiny.extend({}, (typeof suggestion === 'object') ? suggestion : {'label': label}, {'highlight': match.ranges})
+                });
+            }
+        });
+
+        // The best matches first, then the shortest labels and then the original order
+        matches.sort(function (a, b) {
+            return (b.score - a.score) || (a.label.length - b.label.length) || (a.index - b.index);
+        });
+
+        return matches.slice(0, this._options.maxSuggestions).map(function (match) {
+            return match.suggestion;
+        });
+    };
+
+    /**
+     * Aborts the request to the source in progress.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._abortRequest = function () {
+
+        if (this._request === null) {
+            return this;
+        }
+
+        if (this._request.controller !== undefined) {
+            this._request.controller.abort();
+        }
+
+        this._request = null;
+
+        return this;
+    };
+
+    /**
+     * It sets to the HTMLInputElement the selected query and it emits a 'select' event.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._selectSuggestion = function () {
+
+        window.clearTimeout(this._stopTyping);
+
+        if (this._highlighted === null) {
+            return this;
+        }
+
+        var suggestion = this._suggestionsData[this._highlighted];
+
+        // Avoid to select it twice or beyond the maximum
+        if (this._options.multiple && !this._addItem(suggestion)) {
+            return this;
+        }
+
+        if (!this._options.html) {
+            this._el.value = this._suggestions[this._highlighted];
+        }
+
+        // Keep the focus to select more suggestions
+        if (!this._options.multiple) {
+            this._el.blur();
+        }
+
+        /**
+         * Event emitted when a suggestion is selected.
+         * @event ch.Autocomplete#select
+         * @example
+         * // Subscribe to "select" event.
+         * autocomplete.on('select', function (suggestion) {
+         *     // Some code here!
+         * });
+         */
+        this.emit('select', suggestion);
+
+        if (this._options.multiple) {
+            this._el.value = this._currentQuery = '';
+            this._highlighted = null;
+            this.suggest([]);
+        }
+
+        return this;
+    };
+
+    /**
+     * It highlights the item adding the "ch-autocomplete-highlighted" class name or the class name that you configured as "highlightedClass" option.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._toogleHighlighted = function () {
+        // null is when is not a selected item but,
+        // increments 1 _highlighted because aria-posinset starts in 1 instead 0 as the collection that stores the data
+        var current = (this._highlighted === null) ? null : (this._highlighted + 1),
+            currentItem = this.container.querySelector('[aria-posinset="' + current + '"]'),
+            selectedItem = this.container.querySelector('[aria-posinset].' + this._options.highlightedClass);
+
+        if (selectedItem !== null) {
+            // background the highlighted item
+            tiny.removeClass(selectedItem, this._options.highlightedClass);
+        }
+
+        if (currentItem !== null) {
+            // highlight the selected item
+            tiny.addClass(currentItem, this._options.highlightedClass);
+        }
+
+        return this;
+    };
+
+    /**
+     * Add suggestions to be shown.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @returns {autocomplete}
+     * @example
+     * // The suggest method needs an Array of strings to work with default configuration
+     * autocomplete.suggest(['Aruba','Armenia','Argentina']);
+     * @example
+     * // To work with html configuration, it needs an Array of strings. Each string must to be as you wish you watch it
+     * autocomplete.suggest([
+     *  '<strong>Ar</strong>uba <i class="flag-aruba"></i>',
+     *  '<strong>Ar</strong>menia <i class="flag-armenia"></i>',
+     *  '<strong>Ar</strong>gentina <i class="flag-argentina"></i>'
+     * ]);
+     * @example
+     * // The suggestions can be objects with a label, a value to complete the query, a category, a thumbnail and ranges of the label to highlight
+     * autocomplete.suggest([
+     *  {'label': 'Argentina', 'value': 'AR', 'category': 'countries', 'thumbnail': 'flag-ar.png', 'highlight': [[0, 2]]},
+     *  {'label': 'Buenos Aires, Argentina', 'category': 'cities'}
+     * ]);
+     */
+    Autocomplete.prototype.suggest = function (suggestions) {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            items = [],
+            // The suggestions in the order that they are rendered
+            rendered = [],
+            totalItems,
+            itemDOMCollection,
+            suggestedItem,
+            suggestionsLength,
+            el,
+            itemSelected = this.container.querySelector('.' + this._options.highlightedClass);
+
+        // The selected suggestions aren't suggested again, and nothing is suggested when there isn't room for more
+        if (this._options.multiple) {
+            suggestions = this._isFull() ? [] : suggestions.filter(function (suggestion) {
+                return !that._isSelected(getValue(suggestion));
+            });
+        }
+
+        suggestionsLength = suggestions.length;
+
+        // hide the loading feedback
+        tiny.removeClass(this.trigger, that._options.loadingClass);
+
+        // hides the suggestions list
+        if (suggestionsLength === 0) {
+            this._popover.hide();
+
+            return this;
+        }
+
+        // shows the suggestions list when the is closed and the element is withs focus
+        if (!this._popover.isShown() && window.document.activeElement === this._el) {
+            this._popover.show();
+        }
+
+        // remove the class from the extra added items
+        if (itemSelected !== null) {
+            tiny.removeClass(itemSelected, this._options.highlightedClass);
+        }
+
+        // add each suggested item to the suggestion list, group by group
+        this._groupSuggestions(suggestions).forEach(function (group, index) {
+            var groupItems = group.suggestions.map(function (suggestion) {
+                    rendered.push(suggestion);
+
+                    return that._renderSuggestion(suggestion, group.template);
+                }).join(''),
+                titleID = 'ch-autocomplete-group-' + that.uid + '-' + index;
+
+            if (group.title === undefined) {
+                items.push(groupItems);
+                return;
+            }
+
+            items.push([
+                '<li class="ch-autocomplete-group" role="presentation">',
+                '<span class="ch-autocomplete-group-title" id="' + titleID + '">' + escapeHTML(group.title) + '</span>',
+                '<ul class="ch-autocomplete-list" role="group" aria-labelledby="' + titleID + '">' + groupItems + '</ul>',
+                '</li>'
+            ].join(''));
+        });
+
+        this._suggestionsList.innerHTML = items.join('');
+
+        itemDOMCollection = this.container.querySelectorAll('.' + this._options.itemClass);
+
+        // with this we set the aria-setsize value that counts the total
+        totalItems = itemDOMCollection.length;
+
+        // Reset suggestions collection.
+        this._suggestions.length = 0;
+        this._suggestionsData.length = 0;
+
+        for (suggestedItem = 0; suggestedItem < totalItems; suggestedItem += 1) {
+            el = itemDOMCollection[suggestedItem];
+
+            // add the data to the suggestions collection
+            that._suggestions.push(el.getAttribute('data-suggested'));
+
+            // the items added to the container by hand come after the rendered ones
+            that._suggestionsData.push(suggestedItem < rendered.length ? rendered[suggestedItem] : el.getAttribute('data-suggested'));
+
+            el.setAttribute('aria-posinset', that._suggestions.length);
+            el.setAttribute('aria-setsize', totalItems);
+        }
+
+        this._highlighted = null;
+
+        this._suggestionsQuantity = this._suggestions.length;
+
+        return this;
+    };
+
+    /**
+     * Splits the suggestions into the groups of their categories, in the order of the groups. The suggestions without a group come first, without a title.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {Array} suggestions The suggestions to show.
+     * @returns {Array}
+     */
+    Autocomplete.prototype._groupSuggestions = function (suggestions) {
+        var others = {
+                'suggestions': []
+            },
+            groups = (this._options.groups || []).map(function (group) {
+                return {
+                    'name': group.name,
+                    'title': group.title,
+                    'template': group.template,
+                    'suggestions': []
+                };
+            });
+
+        suggestions.forEach(function (suggestion) {
+            var category = (typeof suggestion === 'object') ? suggestion.category : undefined,
+                group = groups.filter(function (candidate) {
+                    return category !== undefined && candidate.name === category;
+                })[0] || others;
+
+            group.suggestions.push(suggestion);
+        });
+
+        return [others].concat(groups).filter(function (group) {
+            return group.suggestions.length > 0;
+        });
+    };
+
+    /**
+     * Returns the HTML of the item of a suggestion.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @param {(String | Object)} suggestion A given suggestion.
+     * @param {(String | Function)} [template] The template of the group of the suggestion.
+     * @returns {String}
+     */
+    Autocomplete.prototype._renderSuggestion = function (suggestion, template) {
+        var term = suggestion,
+            itemTemplate = this._options._itemTemplate,
+            label;
+
+        if (typeof suggestion === 'string') {
+            // for the html configured component doesn't highlight the term matched it must be done by the user
+            if (!this._options.html) {
+                term = suggestion.replace(new RegExp('(' + this._currentQuery.replace(/([.*+?^=!:${}()|[\]\/\\])/g, '\\$1') + ')', 'ig'), '<strong>$1</strong>');
+                itemTemplate = itemTemplate.replace('{{suggestedData}}', ' data-suggested="' + suggestion + '"');
+            }
+
+            return itemTemplate.replace('{{term}}', term);
+        }
+
+        label = highlightLabel(String(suggestion.label), suggestion.highlight, this._currentQuery);
+
+        if (typeof template === 'function') {
+            term = template.call(this, suggestion, label);
+        } else if (typeof template === 'string') {
+            term = template.replace(/\{\{(\w+)\}\}/g, function (match, property) {
+                return (property === 'label') ? label : escapeHTML(suggestion[property]);
+            });
+        } else {
+            term = (suggestion.thumbnail ? '<img class="ch-autocomplete-thumbnail" src="' + escapeHTML(suggestion.thumbnail) + '" alt="">' : '') + label;
+        }
+
+        // Use functions to replace, so the "$" of the content isn't taken as a pattern
+        return itemTemplate
+            .replace('{{suggestedData}}', function () {
+                return ' data-suggested="' + escapeHTML(suggestion.value !== undefined ? suggestion.value : suggestion.label) + '"';
+            })
+            .replace('{{term}}', function () { return term; });
+    };
+
+    /**
+     * Removes a selected suggestion in multiple mode.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @param {String} value The value of the suggestion.
+     * @returns {autocomplete}
+     * @example
+     * // Remove the chip of "Audio".
+     * autocomplete.removeItem('Audio');
+     */
+    Autocomplete.prototype.removeItem = function (value) {
+        var index,
+            chip;
+
+        if (!this._options.multiple) {
+            return this;
+        }
+
+        index = this._items.map(getValue).indexOf(String(value));
+
+        if (index === -1) {
+            return this;
+        }
+
+        chip = this._chips.children[index];
+        this._items.splice(index, 1);
+        this._chips.removeChild(chip);
+        this._updateItems();
+
+        /**
+         * Event emitted when a selected suggestion is removed in multiple mode.
+         * @event ch.Autocomplete#removeitem
+         * @example
+         * // Subscribe to "removeitem" event.
+         * autocomplete.on('removeitem', function (value) {
+         *     // Some code here!
+         * });
+         */
+        this.emit('removeitem', String(value));
+
+        return this;
+    };
+
+    /**
+     * Returns the suggestions selected in multiple mode.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @returns {Array}
+     * @example
+     * // Get the selected tags.
+     * var tags = autocomplete.getItems();
+     */
+    Autocomplete.prototype.getItems = function () {
+        return this._options.multiple ? this._items.slice() : [];
+    };
+
+    /**
+     * Removes all the queries of the history.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @returns {autocomplete}
+     * @example
+     * // Forget the recent searches.
+     * autocomplete.clearHistory();
+     */
+    Autocomplete.prototype.clearHistory = function () {
+
+        if (!this._options.history) {
+            return this;
+        }
+
+        this._setHistory([]);
+
+        // Hide the history when it's shown
+        if (this._el.value === '') {
+            this.suggest([]);
+        }
+
+        /**
+         * Event emitted when the history is cleared.
+         * @event ch.Autocomplete#clearhistory
+         * @example
+         * // Subscribe to "clearhistory" event.
+         * autocomplete.on('clearhistory', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('clearhistory');
+
+        return this;
+    };
+
+    /**
+     * Hides component's container.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @returns {autocomplete}
+     * @example
+     * // Hides the autocomplete.
+     * autocomplete.hide();
+     */
+    Autocomplete.prototype.hide = function () {
+
+        if (!this._enabled) {
+            return this;
+        }
+
+        this._popover.hide();
+
+        /**
+         * Event emitted when the Autocomplete container is hidden.
+         * @event ch.Autocomplete#hide
+         * @example
+         * // Subscribe to "hide" event.
+         * autocomplete.on('hide', function () {
+         *  // Some code here!
+         * });
+         */
+        this.emit('hide');
+
+        return this;
+    };
+
+    /**
+     * Returns a Boolean if the component's core behavior is shown. That means it will return 'true' if the component is on and it will return false otherwise.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @returns {Boolean}
+     * @example
+     * // Execute a function if the component is shown.
+     * if (autocomplete.isShown()) {
+     *     fn();
+     * }
+     */
+    Autocomplete.prototype.isShown = function () {
+        return this._popover.isShown();
+    };
+
+    Autocomplete.prototype.disable = function () {
+        if (this.isShown()) {
+            this.hide();
+            this._el.blur();
+        }
+
+        parent.disable.call(this);
+
+        return this;
+    };
+
+    /**
+     * Destroys an Autocomplete instance.
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @example
+     * // Destroying an instance of Autocomplete.
+     * autocomplete.destroy();
+     */
+    Autocomplete.prototype.destroy = function () {
+
+        tiny.off(this.container, highlightEvent, this._highlightSuggestion);
+
+        this._abortRequest();
+
+        if (this._form) {
+            tiny.off(this._form, 'submit', this._submitHistory);
+        }
+
+        if (this._options.multiple) {
+            this._chips.parentNode.removeChild(this._chips);
+            this._hidden.parentNode.removeChild(this._hidden);
+
+            if (this._el.hasAttribute('data-name')) {
+                this._el.name = this._el.getAttribute('data-name');
+                this._el.removeAttribute('data-name');
+            }
+        }
+
+        this.trigger.removeAttribute('autocomplete');
+        this.trigger.removeAttribute('aria-autocomplete');
+        this.trigger.removeAttribute('aria-haspopup');
+        this.trigger.removeAttribute('aria-owns');
+
+        this._popover.destroy();
+
+        parent.destroy.call(this);
+
+        return;
+    };
+
+    ch.factory(Autocomplete);
+
+}(this, this.ch));
+
+(function (Autocomplete, ch) {
+    'use strict';
+    /**
+     * Congfigure shortcuts to navigate and set values, or cancel the typed text
+     * @memberof! ch.Autocomplete.prototype
+     * @function
+     * @private
+     * @returns {autocomplete}
+     */
+    Autocomplete.prototype._configureShortcuts = function () {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        // Shortcuts
+        ch.shortcuts.add(ch.onkeyenter, this.uid, function (event) {
+            event.preventDefault();
+            that._selectSuggestion();
+        });
+
+        ch.shortcuts.add(ch.onkeyesc, this.uid, function () {
+            that.hide();
+            that._el.value = that._originalQuery;
+        });
+
+        ch.shortcuts.add(ch.onkeyuparrow, this.uid, function (event) {
+            event.preventDefault();
+
+            var value;
+
+            // change the selected value & stores the future HTMLInputElement value
+            if (that._highlighted === null) {
+
+                that._highlighted = that._suggestionsQuantity - 1;
+                value = that._suggestions[that._highlighted];
+
+            } else if (that._highlighted <= 0) {
+
+                this._prevHighlighted = this._currentHighlighted = null;
+                value = that._currentQuery;
+
+            } else {
+
+                that._highlighted -= 1;
+                value = that._suggestions[that._highlighted];
+
+            }
+
+            that._toogleHighlighted();
+
+            if (!that._options.html) {
+                that._el.value = value;
+            }
+
+        });
+
+        ch.shortcuts.add(ch.onkeydownarrow, this.uid, function () {
+            var value;
+
+            // change the selected value & stores the future HTMLInputElement value
+            if (that._highlighted === null) {
+
+                that._highlighted = 0;
+
+                value = that._suggestions[that._highlighted];
+
+            } else if (that._highlighted >= that._suggestionsQuantity - 1) {
+
+                that._highlighted = null;
+                value = that._currentQuery;
+
+            } else {
+
+                that._highlighted += 1;
+                value = that._suggestions[that._highlighted];
+
+            }
+
+            that._toogleHighlighted();
+
+            if (!that._options.html) {
+                that._el.value = value;
+            }
+
+        });
+
+        // Activate the shortcuts for this instance
+        this._popover.on('beforeshow', function () { ch.shortcuts.on(that.uid); });
+
+        // Deactivate the shortcuts for this instance
+        this._popover.on('beforehide', function () { ch.shortcuts.off(that.uid); });
+
+        this.on('destroy', function () {
+            ch.shortcuts.remove(this.uid);
+        });
+
+        return this;
+    };
+
+}(this.ch.Autocomplete, this.ch));
+
+(function (window, ch) {
+    'use strict';
+
+    /**
+     * Collection of registered locales.
+     * @type {Object}
+     * @private
+     */
+    var locales = {},
+
+        /**
+         * Name of the locale used when a component doesn't pick one.
+         * @type {String}
+         * @private
+         */
+        DEFAULT_LOCALE = 'es',
+
+        /**
+         * Map of Intl.DateTimeFormat parts to format tokens.
+         * @type {Object}
+         * @private
+         */
+        FORMAT_tokens = {
+            'day': 'DD',
+            'month': 'MM',
+            'year': 'YYYY'
+        };
+
+    /**
+     * Uppercases the first letter of a given text.
+     * @function
+     * @private
+     * @returns {String}
+     */
+    function capitalize(text) {
+        return text.charAt(0).toLocaleUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Returns the first day of the week of a given locale, or undefined if the platform doesn't expose it.
+     * @function
+     * @private
+     * @returns {Number}
+     */
+    function getFirstDay(name) {
+        var info;
+
+        if (window.Intl.Locale === undefined) {
+            return;
+        }
+
+        info = new window.Intl.Locale(name);
+        info = (typeof info.getWeekInfo === 'function') ? info.getWeekInfo() : info.weekInfo;
+
+        // Intl counts from Monday (1) to Sunday (7)
+        return info && info.firstDay % 7;
+    }
+
+    /**
+     * Creates a locale definition from Intl.DateTimeFormat, or undefined if the platform doesn't support the given locale.
+     * @function
+     * @private
+     * @returns {Object}
+     */
+    function createLocale(name) {
+        var Intl = window.Intl,
+            months,
+            weekdays,
+            definition,
+            i;
+
+        if (Intl === undefined) {
+            return;
+        }
+
+        // Malformed tags such as "es_AR" throw a RangeError
+        try {
+            if (Intl.DateTimeFormat.supportedLocalesOf(name).length === 0) {
+                return;
+            }
+        } catch (error) {
+            return;
+        }
+
+        months = new Intl.DateTimeFormat(name, {'month': 'long', 'timeZone': 'UTC'});
+        weekdays = new Intl.DateTimeFormat(name, {'weekday': 'short', 'timeZone': 'UTC'});
+
+        definition = {
+            'monthsNames': [],
+            'weekdays': [],
+            'firstDay': getFirstDay(name),
+            'format': new Intl.DateTimeFormat(name, {'day': '2-digit', 'month': '2-digit', 'year': 'numeric', 'timeZone': 'UTC'})
+                .formatToParts(Date.UTC(2000, 0, 1))
+                .map(function (part) {
+                    return FORMAT_tokens[part.type] || part.value;
+                })
+                .join(''),
+            'timeFormat': new Intl.DateTimeFormat(name, {'hour': 'numeric'}).resolvedOptions().hour12 ? 'h:mm A' : 'HH:mm'
+        };
+
+        for (i = 0; i < 12; i += 1) {
+            definition.monthsNames.push(capitalize(months.format(Date.UTC(2000, i, 1))));
+        }
+
+        // January 2, 2000 was a Sunday
+        for (i = 0; i < 7; i += 1) {
+            definition.weekdays.push(capitalize(weekdays.format(Date.UTC(2000, 0, 2 + i))));
+        }
+
+        return definition;
+    }
+
+    /**
+     * Registers a locale or returns the definition of a registered one. Unknown locales are created from Intl.DateTimeFormat, inheriting the messages of a registered locale of the same language, and fall back to the default locale ("es").
+     * @memberof ch
+     * @function
+     * @param {String} [name] The name of the locale, as a BCP 47 language tag. Default: "es".
+     * @param {Object} [definition] The locale to register. It's merged with the one already registered under the same name.
+     * @param {Array} [definition.monthsNames] A collection of months names.
+     * @param {Array} [definition.weekdays] A collection of weekdays, starting on Sunday.
+     * @param {Number} [definition.firstDay] The first day of the week, where 0 is Sunday.
+     * @param {String} [definition.format] The date format. Tokens: "YYYY", "YY", "MMMM", "MM", "M", "DD" and "D". Text between brackets is kept as is.
+     * @param {String} [definition.timeFormat] The time format. Tokens: "HH", "H" (24-hour clock), "hh", "h" (12-hour clock), "mm" and "A" (AM/PM).
+     * @param {String} [definition.timeLabel] The label of the time selector.
+     * @param {Object} [definition.messages] A map of ch.Validation messages by condition name, and of the texts of the components (i.e. "retry" and "loadError").
+     * @param {Object} [definition.relative] A map of words to the amount of days they are from today, used to parse typed dates.
+     * @param {Object} [definition.units] A map of the initials of the units used to parse relative dates such as "+3d", to "day", "week", "month" or "year".
+     * @returns {Object}
+     * @example
+     * // Register a new locale.
+     * ch.locale('fr-FR', {
+     *     'monthsNames': ['Janvier', 'Février', 'Mars', 'Avril', 'Mai', 'Juin', 'Juillet', 'Août', 'Septembre', 'Octobre', 'Novembre', 'Décembre'],
+     *     'weekdays': ['Dim', 'Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam'],
+     *     'firstDay': 1,
+     *     'format': 'DD/MM/YYYY',
+     *     'messages': {
+     *         'required': 'Remplissez ce champ.'
+     *     }
+     * });
+     * @example
+     * // Get a locale definition.
+     * ch.locale('pt-BR').monthsNames;
+     */
+    ch.locale = function (name, definition) {
+        var language,
+            key;
+
+        name = name || DEFAULT_LOCALE;
+
+        // Setter
+        if (definition !== undefined) {
+            definition = tiny.extend({}, locales[name], definition);
+            definition.messages = tiny.extend({}, locales[name] && locales[name].messages, definition.messages);
+            definition.name = name;
+            locales[name] = definition;
+
+            return definition;
+        }
+
+        // Getter
+        if (locales[name] !== undefined) {
+            return locales[name];
+        }
+
+        definition = createLocale(name);
+
+        if (definition === undefined) {
+            return locales[DEFAULT_LOCALE];
+        }
+
+        // Inherit what Intl can't provide from a locale of the same language
+        language = name.split('-')[0];
+
+        for (key in locales) {
+            if (locales.hasOwnProperty(key) && key.split('-')[0] === language) {
+                definition.messages = locales[key].messages;
+                definition.relative = locales[key].relative;
+                definition.units = locales[key].units;
+                definition.timeLabel = locales[key].timeLabel;
+                definition.firstDay = (definition.firstDay !== undefined) ? definition.firstDay : locales[key].firstDay;
+                break;
+            }
+        }
+
+        definition.firstDay = definition.firstDay || 0;
+
+        return ch.locale(name, definition);
+    };
+
+    /**
+     * Returns a message of a given locale, or the one of the default locale when it doesn't have it.
+     * @memberof ch.locale
+     * @function
+     * @param {String} [name] The name of the locale. Default: "es".
+     * @param {String} key The name of the message.
+     * @returns {String}
+     * @example
+     * // Get the text of the retry buttons.
+     * ch.locale.message('pt-BR', 'retry');
+     */
+    ch.locale.message = function (name, key) {
+        var messages = ch.locale(name).messages || {};
+
+        return (messages[key] !== undefined) ? messages[key] : locales[DEFAULT_LOCALE].messages[key];
+    };
+
+    ch.locale('es', {
+        'monthsNames': ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio', 'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'],
+        'weekdays': ['Dom', 'Lun', 'Mar', 'Mie', 'Jue', 'Vie', 'Sab'],
+        'firstDay': 0,
+        'format': 'DD/MM/YYYY',
+        'timeFormat': 'HH:mm',
+        'timeLabel': 'Hora',
+        'messages': {
+            'string': 'Usa solo letras.',
+            'email': 'Usa un e-mail válido como nombre@ejemplo.com.',
+            'url': 'Debe ser una URL válida.',
+            'minLength': 'Ingresa al menos {#num#} caracteres.',
+            'maxLength': 'La cantidad máxima de caracteres es {#num#}.',
+            'number': 'Usa solo números.',
+            'max': 'El valor debe ser menor que {#num#}.',
+            'min': 'El valor debe ser mayor que {#num#}.',
+            'required': 'Completa este dato.',
+            'date': 'Usa una fecha válida.',
+            'retry': 'Reintentar',
+            'loadError': 'No se pudo cargar el contenido.'
+        },
+        'relative': {
+            'anteayer': -2,
+            'ayer': -1,
+            'hoy': 0,
+            'mañana': 1,
+            'pasado mañana': 2
+        },
+        'units': {
+            'd': 'day',
+            's': 'week',
+            'm': 'month',
+            'a': 'year'
+        }
+    });
+
+    ch.locale('pt-BR', {
+        'monthsNames': ['Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho', 'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'],
+        'weekdays': ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'],
+        'firstDay': 0,
+        'format': 'DD/MM/YYYY',
+        'timeFormat': 'HH:mm',
+        'timeLabel': 'Horário',
+        'messages': {
+            'string': 'Use apenas letras.',
+            'email': 'Use um e-mail válido como nome@exemplo.com.',
+            'url': 'Deve ser uma URL válida.',
+            'minLength': 'Digite pelo menos {#num#} caracteres.',
+            'maxLength': 'A quantidade máxima de caracteres é {#num#}.',
+            'number': 'Use apenas números.',
+            'max': 'O valor deve ser menor que {#num#}.',
+            'min': 'O valor deve ser maior que {#num#}.',
+            'required': 'Preencha esta informação.',
+            'date': 'Use uma data válida.',
+            'retry': 'Tentar novamente',
+            'loadError': 'Não foi possível carregar o conteúdo.'
+        },
+        'relative': {
+            'anteontem': -2,
+            'ontem': -1,
+            'hoje': 0,
+            'amanhã': 1,
+            'depois de amanhã': 2
+        },
+        'units': {
+            'd': 'day',
+            's': 'week',
+            'm': 'month',
+            'a': 'year'
+        }
+    });
+
+    ch.locale('en-US', {
+        'monthsNames': ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+        'weekdays': ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+        'firstDay': 0,
+        'format': 'MM/DD/YYYY',
+        'timeFormat': 'h:mm A',
+        'timeLabel': 'Time',
+        'messages': {
+            'string': 'Use only letters.',
+            'email': 'Use a valid e-mail such as name@example.com.',
+            'url': 'It must be a valid URL.',
+            'minLength': 'Enter at least {#num#} characters.',
+            'maxLength': 'The maximum amount of characters is {#num#}.',
+            'number': 'Use only numbers.',
+            'max': 'The amount must be smaller than {#num#}.',
+            'min': 'The amount must be higher than {#num#}.',
+            'required': 'Fill in this information.',
+            'date': 'Use a valid date.',
+            'retry': 'Retry',
+            'loadError': 'The content couldn\'t be loaded.'
+        },
+        'relative': {
+            'yesterday': -1,
+            'today': 0,
+            'tomorrow': 1
+        },
+        'units': {
+            'd': 'day',
+            'w': 'week',
+            'm': 'month',
+            'y': 'year'
+        }
+    });
+
+}(this, this.ch));
+
+(function (window, ch) {
+    'use strict';
+
+    function normalizeOptions(options) {
+        if (typeof options === 'string' || Array.isArray(options)) {
+            options = {
+                'selected': options
+            };
+        }
+        return options;
+    }
+
+    /**
+     * It lets you move across the months of the year and allow to set dates as selected.
+     * @memberof ch
+     * @constructor
+     * @augments ch.Component
+     * @param {HTMLElement} el A HTMLElement to create an instance of ch.Calendar.
+     * @param {Object} [options] Options to customize an instance.
+     * @param {String} [options.locale] The name of a locale registered with ch.locale, or any locale supported by Intl.DateTimeFormat. Default: "es".
+     * @param {String} [options.format] Sets the date format, using the tokens "YYYY", "YY", "MMMM", "MM", "M", "DD" and "D", and the time tokens of the locale "timeFormat". Default: The format of the locale.
+     * @param {String} [options.selected] Sets a date that should be selected by default. Default: The date of today.
+     * @param {String} [options.from] Set a minimum selectable date. The format of the given date should be YYYY/MM/DD.
+     * @param {String} [options.to] Set a maximum selectable date. The format of the given date should be YYYY/MM/DD.
+     * @param {Array} [options.monthsNames] A collection of months names. Default: The months names of the locale.
+     * @param {Array} [options.weekdays] A collection of weekdays, starting on Sunday. Default: The weekdays of the locale.
+     * @param {Number} [options.firstDay] The first day of the week, where 0 is Sunday. Default: The first day of the locale.
+     * @param {Boolean} [options.range] Lets the user pick a start and an end date, previewing the range while hovering the days. Default: false.
+     * @param {Number} [options.minSpan] The minimum amount of days between the start and the end of a range. Default: 0.
+     * @param {Number} [options.maxSpan] The maximum amount of days between the start and the end of a range.
+     * @param {(Array | Function)} [options.disabled] The days that can't be selected: a collection of dates with the format "YYYY/MM/DD" and weekdays from 0 (Sunday) to 6, or a function that receives a Date and returns true to disable it.
+     * @param {Function} [options.renderDay] Customizes the cell of each day. It receives a Date and the state of the day ("selected", "disabled" and "today") and may return an object with a "className", a "content" added after the day number as HTML, and a "label" read by screen readers.
+     * @param {Boolean} [options.time] Adds a time selector below the month. The time format of the locale is added to the format, unless the format is given. Default: false.
+     * @param {Number} [options.timeStep] The amount of minutes between the times that can be selected. Default: 30.
+     * @param {String} [options.minTime] The minimum time that can be selected, with the format "HH:mm". Default: "00:00".
+     * @param {String} [options.maxTime] The maximum time that can be selected, with the format "HH:mm". Default: "23:59".
+     * @param {(Array | Function)} [options.disabledTimes] The times that can't be selected: a collection of times with the format "HH:mm", or a function that receives a Date with the day and the time and returns true to disable it.
+     * @param {Boolean} [options.hour12] Uses a 12-hour clock. Default: The clock of the locale.
+     * @param {Number} [options.months] The amount of consecutive months shown side by side, or stacked on narrow screens. The arrows move by this amount. Default: 1.
+     * @returns {calendar} Returns a new instance of Calendar.
+     * @example
+     * // Create a new Calendar.
+     * var calendar = new ch.Calendar([el], [options]);
+     * @example
+     * // Creates a new Calendar with custom options.
+     * var calendar =  new ch.Calendar({
+     *     'format': 'MM/DD/YYYY',
+     *     'selected': '2011/12/25',
+     *     'from': '2010/12/25',
+     *     'to': '2012/12/25',
+     *     'monthsNames': ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+     *     'weekdays': ['Su', 'Mo', 'Tu', 'We', 'Thu', 'Fr', 'Sa']
+     * });
+     * @example
+     * // Creates a new Calendar in Brazilian Portuguese.
+     * var calendar = new ch.Calendar(el, {
+     *     'locale': 'pt-BR'
+     * });
+     * @example
+     * // Creates a new Calendar to pick stays from one to fourteen nights.
+     * var calendar = new ch.Calendar(el, {
+     *     'range': true,
+     *     'minSpan': 1,
+     *     'maxSpan': 14
+     * });
+     * @example
+     * // Creates a new Calendar without Sundays nor holidays, showing the price of each day.
+     * var calendar = new ch.Calendar(el, {
+     *     'disabled': [0, '2014/12/25', '2015/01/01'],
+     *     'renderDay': function (date, state) {
+     *         if (!state.disabled) {
+     *             return {'className': 'has-price', 'content': '<small>$' + prices[date.getDate()] + '</small>', 'label': 'Price: $' + prices[date.getDate()]};
+     *         }
+     *     }
+     * });
+     * @example
+     * // Creates a new Calendar that shows two months to pick a range across them.
+     * var calendar = new ch.Calendar(el, {
+     *     'range': true,
+     *     'months': 2
+     * });
+     * @example
+     * // Creates a new Calendar to schedule deliveries every hour, from 9 to 18 and never at lunch time.
+     * var calendar = new ch.Calendar(el, {
+     *     'time': true,
+     *     'timeStep': 60,
+     *     'minTime': '09:00',
+     *     'maxTime': '18:00',
+     *     'disabledTimes': ['13:00']
+     * });
+     * @example
+     * // Creates a new Calendar using a shorthand way (selected date as parameter).
+     * var calendar = new ch.Calendar('2011/12/25');
+     */
+    function Calendar(el, options) {
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        this._init(el, options);
+
+        if (this.initialize !== undefined) {
+            /**
+             * If you define an initialize method, it will be executed when a new Calendar is created.
+             * @memberof! ch.Calendar.prototype
+             * @function
+             */
+            this.initialize();
+        }
+
+        /**
+         * Event emitted when the component is ready to use.
+         * @event ch.Calendar#ready
+         * @example
+         * // Subscribe to "ready" event.
+         * calendar.on('ready', function () {
+         *     // Some code here!
+         * });
+         */
+        window.setTimeout(function () { that.emit('ready'); }, 50);
+    }
+
+    // Inheritance
+    tiny.inherits(Calendar, ch.Component);
+
+    /**
+     * Completes with zero the numbers less than 10.
+     * @function
+     * @private
+     * @returns {String}
+     */
+    var addZero = function (num) {
+            return (parseInt(num, 10) < 10) ? '0' + num : num;
+        },
+
+        /**
+         * Map of date format tokens.
+         * @type {Object}
+         * @private
+         */
+        FORMAT_tokens = {
+            'YYYY': function (date) { return date.year; },
+            'YY': function (date) { return String(date.year).slice(-2); },
+            'MMMM': function (date, locale) { return locale.monthsNames[date.month - 1]; },
+            'MM': function (date) { return addZero(date.month); },
+            'M': function (date) { return date.month; },
+            'DD': function (date) { return addZero(date.day); },
+            'D': function (date) { return date.day; },
+            'HH': function (date) { return addZero(date.hours); },
+            'H': function (date) { return date.hours; },
+            'hh': function (date) { return addZero(date.hours % 12 || 12); },
+            'h': function (date) { return date.hours % 12 || 12; },
+            'mm': function (date) { return addZero(date.minutes); },
+            'A': function (date) { return (date.hours < 12) ? 'AM' : 'PM'; }
+        },
+
+        /**
+         * Converts a given date to a given format.
+         * @function
+         * @private
+         * @returns {String}
+         */
+        formatDate = function (date, format, locale) {
+            // Without a time, the time tokens and their separators are left out
+            if (date.hours === undefined) {
+                format = format.replace(/[\s,]*(HH?|hh?)[^A-Za-z\[]*(mm)?[^A-Za-z\[]*A?/, '');
+            }
+
+            return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MM|M|DD|D|HH|H|hh|h|mm|A/g, function (token, text) {
+                return (text !== undefined) ? text : FORMAT_tokens[token](date, locale);
+            });
+        },
+
+        /**
+         * Creates a JSON Object with reference to day, month and year, from a determinated date.
+         * @function
+         * @private
+         * @returns {Object}
+         */
+        createDateObject = function (date) {
+
+            // Uses date parameter or create a date from today
+            date = (date === 'today') ? new Date() : new Date(date);
+
+            /**
+             * Returned custom Date object.
+             * @type {Object}
+             * @private
+             */
+            return {
+
+                /**
+                 * Reference to native Date object.
+                 * @type {Date}
+                 * @private
+                 */
+                'native': date,
+
+                /**
+                 * Number of day.
+                 * @type {Number}
+                 * @private
+                 */
+                'day': date.getDate(),
+
+                /**
+                 * Order of day in a week.
+                 * @type {Number}
+                 * @private
+                 */
+                'order': date.getDay(),
+
+                /**
+                 * Number of month.
+                 * @type {Number}
+                 * @private
+                 */
+                'month': date.getMonth() + 1,
+
+                /**
+                 * Number of full year.
+                 * @type {Number}
+                 * @private
+                 */
+                'year': date.getFullYear()
+            };
+        },
+
+        /**
+         * Returns a new date moved a given amount of months, keeping the day within the target month.
+         * @function
+         * @private
+         * @returns {Object}
+         */
+        addMonths = function (date, months) {
+            var target = new Date(date.year, date.month - 1 + months, 1);
+
+            target.setDate(Math.min(date.day, new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate()));
+
+            return createDateObject(target);
+        },
+
+        /**
+         * Returns a new date moved a given amount of days.
+         * @function
+         * @private
+         * @returns {Object}
+         */
+        addDays = function (date, days) {
+            return createDateObject(new Date(date.year, date.month - 1, date.day + days));
+        },
+
+        /**
+         * Converts a given time with the format "HH:mm" to minutes since midnight.
+         * @function
+         * @private
+         * @returns {Number}
+         */
+        toMinutes = function (time) {
+            var parts = String(time).split(':');
+
+            return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
+        },
+
+        /**
+         * Converts a given amount of minutes since midnight to a time with the format "HH:mm".
+         * @function
+         * @private
+         * @returns {String}
+         */
+        toTime = function (minutes) {
+            return addZero(Math.floor(minutes / 60)) + ':' + addZero(minutes % 60);
+        },
+
+        /**
+         * Pattern of a typed time, such as "14:30", "14h30" or "2:30 pm".
+         * @type {RegExp}
+         * @private
+         */
+        TIME_PATTERN = /(\d{1,2})(?::|h)(\d{2})(?:\s*([ap])\.?\s*m\.?)?/,
+
+        /**
+         * Lowercases a given text and removes its diacritics, to compare typed words.
+         * @function
+         * @private
+         * @returns {String}
+         */
+        simplify = function (text) {
+            text = text.toLowerCase();
+
+            return (typeof text.normalize === 'function') ? text.normalize('NFD').replace(/[\u0300-\u036f]/g, '') : text;
+        },
+
+        /**
+         * Map of keys handled by the grid.
+         * @type {Object}
+         * @private
+         */
+        KEYS = {
+            'enter': 13,
+            'space': 32,
+            'pageup': 33,
+            'pagedown': 34,
+            'end': 35,
+            'home': 36,
+            'left': 37,
+            'up': 38,
+            'right': 39,
+            'down': 40
+        },
+
+        /**
+         * Checks if two given dates are the same day.
+         * @function
+         * @private
+         * @returns {Boolean}
+         */
+        isSameDay = function (a, b) {
+            return a.year === b.year && a.month === b.month && a.day === b.day;
+        },
+
+        /**
+         * Returns the amount of days between two given dates.
+         * @function
+         * @private
+         * @returns {Number}
+         */
+        daysBetween = function (start, end) {
+            // UTC avoids daylight saving time changes and the time of "today"
+            return (Date.UTC(end.year, end.month - 1, end.day) - Date.UTC(start.year, start.month - 1, start.day)) / 86400000;
+        },
+
+        parent = Calendar.super_.prototype;
+
+    /**
+     * The name of the component.
+     * @memberof! ch.Calendar.prototype
+     * @type {String}
+     */
+    Calendar.prototype.name = 'calendar';
+
+    /**
+     * Returns a reference to the constructor function.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     */
+    Calendar.prototype.constructor = Calendar;
+
+    /**
+     * Configuration by default.
+     * @type {Object}
+     * @private
+     */
+    Calendar.prototype._defaults = {
+        'locale': 'es',
+        'months': 1,
+        'timeStep': 30,
+        'minTime': '00:00',
+        'maxTime': '23:59'
+    };
+
+    /**
+     * Initialize a new instance of Calendar and merge custom options with defaults options.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @private
+     * @returns {calendar}
+     */
+    Calendar.prototype._init = function (el, options) {
+        // Call to its parent init method
+        parent._init.call(this, el, options);
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            grids = [],
+            i;
+
+        // cloneNode(true) > parameters is required. Opera & IE throws and internal error. Opera mobile breaks.
+        this._snippet = this._el.cloneNode(true);
+
+        /**
+         * The locale definition in use, with the customizations given on options.
+         * @type {Object}
+         * @private
+         */
+        this._locale = tiny.extend({}, ch.locale(this._options.locale));
+
+        ['monthsNames', 'weekdays', 'firstDay', 'format'].forEach(function (key) {
+            if (that._options[key] !== undefined) {
+                that._locale[key] = that._options[key];
+            }
+        });
+
+        if (this._options.hour12 !== undefined) {
+            this._locale.timeFormat = this._options.hour12 ? 'h:mm A' : 'HH:mm';
+        }
+
+        if (this._options.time && this._options.format === undefined) {
+            this._locale.format += ' ' + this._locale.timeFormat;
+        }
+
+        /**
+         * Map of disabled dates and weekdays given on options.
+         * @type {Object}
+         * @private
+         */
+        this._disabled = {
+            'dates': {},
+            'weekdays': {}
+        };
+
+        if (Array.isArray(this._options.disabled)) {
+            this._options.disabled.forEach(function (item) {
+                if (typeof item === 'number') {
+                    that._disabled.weekdays[item] = true;
+                } else {
+                    item = createDateObject(item);
+                    that._disabled.dates[[item.year, item.month, item.day].join('/')] = true;
+                }
+            });
+        }
+
+        /**
+         * Object to mange the date and its ranges.
+         * @type {Object}
+         * @private
+         */
+        this._dates = {
+            'range': {}
+        };
+
+        this._dates.today = createDateObject('today');
+
+        this._dates.current = this._dates.today;
+
+        /**
+         * Date of selected day.
+         * @type {Object}
+         * @private
+         */
+        this._dates.selected = (function () {
+
+            // Get date from configuration or input value, if configured could be an Array with multiple selections
+            var selected = that._options.selected;
+
+            // Do it only if there are a "selected" parameter
+            if (!selected) { return selected; }
+
+            // Simple date selection
+            if (!Array.isArray(selected)) {
+
+                if (selected !== 'today') {
+                    // Return date object and update currentDate
+                    selected = that._dates.current = createDateObject(selected);
+
+                } else {
+                    selected = that._dates.today;
+                }
+
+            // Multiple date selection
+            } else {
+                selected.forEach(function (e, i){
+                    // Simple date
+                    if (!Array.isArray(e)) {
+                        selected[i] = (selected[i] !== 'today') ? createDateObject(e) : that._dates.today;
+                    // Range
+                    } else {
+                        selected[i][0] = (selected[i][0] !== 'today') ? createDateObject(e[0]) : that._dates.today;
+                        selected[i][1] = (selected[i][1] !== 'today') ? createDateObject(e[1]) : that._dates.today;
+                    }
+                });
+            }
+
+            return selected;
+        }());
+
+        // Today's date object
+        this._dates.today = createDateObject('today');
+
+        // Minimum selectable date
+        this._dates.range.from = (function () {
+
+            // Only works when there are a "from" parameter on configuration
+            if (that._options.from === undefined || !that._options.from) { return; }
+
+            // Return date object
+            return (that._options.from === 'today') ? that._dates.today : createDateObject(that._options.from);
+
+        }());
+
+        // Maximum selectable date
+        this._dates.range.to = (function () {
+
+            // Only works when there are a "to" parameter on configuration
+            if (that._options.to === undefined || !that._options.to) { return; }
+
+            // Return date object
+            return (that._options.to === 'today') ? that._dates.today : createDateObject(that._options.to);
+
+        }());
+
+        // Ids of the grids of the visible months
+        for (i = 0; i < this._options.months; i += 1) {
+            grids.push('ch-calendar-grid-' + this.uid + (i > 0 ? '-' + i : ''));
+        }
+
+        /**
+         * Template of previous arrow.
+         * @type {HTMLDivElement}
+         */
+        this._prev = document.createElement('div');
+        this._prev.setAttribute('aria-controls', grids.join(' '));
+        this._prev.setAttribute('role', 'button');
+        this._prev.setAttribute('aria-hidden', 'false');
+        tiny.addClass(this._prev, 'ch-calendar-prev');
+
+        /**
+         * Template of next arrow.
+         * @type {HTMLDivElement}
+         */
+        this._next = document.createElement('div');
+        this._next.setAttribute('aria-controls', grids.join(' '));
+        this._next.setAttribute('role', 'button');
+        this._next.setAttribute('aria-hidden', 'false');
+        tiny.addClass(this._next, 'ch-calendar-next');
+
+
+        // Show or hide arrows depending on "from" and "to" limits
+        tiny.on(this._prev, ch.onpointertap, function (event) {
+            event.preventDefault();
+            that.prevMonth();
+        });
+        tiny.on(this._next, ch.onpointertap, function (event) {
+            event.preventDefault();
+            that.nextMonth();
+        });
+
+        /**
+         * The calendar container.
+         * @type {HTMLElement}
+         */
+        this.container = this._el;
+        this.container.insertBefore(this._prev, this.container.firstChild);
+        this.container.insertBefore(this._next, this.container.firstChild);
+        tiny.addClass(this.container, 'ch-calendar');
+        this.container.insertAdjacentHTML('beforeend', this._createMonths(this._dates.current));
+
+        this._updateControls();
+
+        if (this._options.range) {
+            this._configureRange();
+        }
+
+        if (this._options.time) {
+            this._configureTime();
+        }
+
+        tiny.on(this.container, 'keydown', function (event) {
+            if (that._enabled && that._getCell(event.target) !== null) {
+                that._navigate(event);
+            }
+        });
+
+        // Avoid selection on the component
+        that.container.setAttribute('unselectable', 'on');
+        tiny.addClass(that.container, 'ch-user-no-select');
+
+        return this;
+    };
+
+    /**
+     * Moves the focus across the days of the grid, following the WAI-ARIA date grid keyboard model.
+     * @function
+     * @private
+     */
+    Calendar.prototype._navigate = function (event) {
+        var date = this._dates.focused,
+            key = event.which || event.keyCode,
+            // Amount of days to move when the target day isn't available
+            step,
+            target,
+            attempts = 366;
+
+        switch (key) {
+        case KEYS.enter:
+        case KEYS.space:
+            event.preventDefault();
+
+            if (this._isAvailable(date)) {
+                this._pickDate(date);
+                this._focus();
+            }
+
+            return this;
+        case KEYS.left:
+        case KEYS.right:
+            step = (key === KEYS.left) ? -1 : 1;
+            target = addDays(date, step);
+            break;
+        case KEYS.up:
+        case KEYS.down:
+            step = (key === KEYS.up) ? -7 : 7;
+            target = addDays(date, step);
+            break;
+        case KEYS.pageup:
+        case KEYS.pagedown:
+            step = (key === KEYS.pageup) ? -1 : 1;
+            target = addMonths(date, step * (event.shiftKey ? 12 : 1));
+            break;
+        case KEYS.home:
+            step = 1;
+            target = addDays(date, -((date.order - this._locale.firstDay + 7) % 7));
+            break;
+        case KEYS.end:
+            step = -1;
+            target = addDays(date, 6 - (date.order - this._locale.firstDay + 7) % 7);
+            break;
+        default:
+            return this;
+        }
+
+        event.preventDefault();
+
+        // Skip the days that can't be selected, without going beyond the "from" and "to" limits
+        while (!this._isAvailable(target) && this._isInLimits(target) && attempts) {
+            target = addDays(target, step);
+            attempts -= 1;
+        }
+
+        if (this._isAvailable(target)) {
+            this._focusDate(target);
+        }
+
+        return this;
+    };
+
+    /**
+     * Checks if a given date is into the "from" and "to" limits, ignoring the time of the day.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._isInLimits = function (date) {
+        return (this._dates.range.from === undefined || daysBetween(this._dates.range.from, date) >= 0) &&
+            (this._dates.range.to === undefined || daysBetween(date, this._dates.range.to) >= 0);
+    };
+
+    /**
+     * Checks if a given date can be focused and selected.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._isAvailable = function (date) {
+        return this._isInLimits(date) && !this._isDisabled(date) && (!this._options.range || this._isInSpan(date));
+    };
+
+    /**
+     * Moves the focus to a given date, showing its month if it's needed.
+     * @function
+     * @private
+     */
+    Calendar.prototype._focusDate = function (date) {
+        var that = this,
+            visible = this._options.months,
+            current = this._dates.current,
+            months = (date.year - current.year) * 12 + date.month - current.month;
+
+        this._dates.focused = date;
+
+        if (months >= visible && months < visible * 2) {
+            this.nextMonth();
+        } else if (months < 0 && months >= -visible) {
+            this.prevMonth();
+        } else if (months >= 12 && months < 12 + visible) {
+            this.nextYear();
+        } else if (months < -12 + visible && months >= -12) {
+            this.prevYear();
+        } else if (months < 0 || months >= visible) {
+            this._updateTemplate([date.year, date.month, '01'].join('/'));
+        } else {
+            Array.prototype.forEach.call(this.container.querySelectorAll('.ch-calendar-day'), function (cell) {
+                cell.setAttribute('tabindex', isSameDay(that._getCellDate(cell), date) ? '0' : '-1');
+            });
+        }
+
+        return this._focus();
+    };
+
+    /**
+     * Focuses the day of the grid that can be reached with the tab key.
+     * @function
+     * @private
+     */
+    Calendar.prototype._focus = function () {
+        var cell = this.container.querySelector('.ch-calendar-day[tabindex="0"]');
+
+        if (cell !== null) {
+            cell.focus();
+        }
+
+        return this;
+    };
+
+    /**
+     * Selects a given date, or picks it as part of a range.
+     * @function
+     * @private
+     */
+    Calendar.prototype._pickDate = function (date) {
+        if (this._options.range) {
+            return this._pickRange(date);
+        }
+
+        return this.select([date.year, date.month, date.day].join('/'));
+    };
+
+    /**
+     * Lets the user pick a range by tapping its start and its end, previewing it while hovering the days.
+     * @function
+     * @private
+     */
+    Calendar.prototype._configureRange = function () {
+        var that = this;
+
+        /**
+         * The start of a range waiting for its end.
+         * @type {Object}
+         * @private
+         */
+        this._dates.pending = undefined;
+
+        tiny.addClass(this.container, 'ch-calendar-range');
+
+        tiny.on(this.container, ch.onpointertap, function (event) {
+            var cell = that._getCell(event.target);
+
+            if (that._enabled && that._isPickable(cell)) {
+                that._dates.focused = that._getCellDate(cell);
+                that._pickRange(that._dates.focused);
+            }
+        });
+
+        tiny.on(this.container, 'mouseover', function (event) {
+            var cell = that._getCell(event.target);
+
+            if (that._dates.pending !== undefined) {
+                that._previewRange(that._isPickable(cell) ? that._getCellDate(cell) : undefined);
+            }
+        });
+
+        tiny.on(this.container, 'mouseout', function (event) {
+            if (that._dates.pending !== undefined && !that.container.contains(event.relatedTarget)) {
+                that._previewRange();
+            }
+        });
+
+        return this;
+    };
+
+    /**
+     * Returns the cell that contains a given element, or null if it's out of the cells.
+     * @function
+     * @private
+     * @returns {HTMLTableCellElement}
+     */
+    Calendar.prototype._getCell = function (el) {
+        return (el.nodeName === 'TD') ? el : tiny.parent(el, 'td');
+    };
+
+    /**
+     * Checks if a given cell is a day that can be picked.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._isPickable = function (el) {
+        return el !== null && !tiny.hasClass(el, 'ch-calendar-disabled') && !tiny.hasClass(el, 'ch-calendar-other');
+    };
+
+    /**
+     * Returns the date of a given day cell, from the month of its table.
+     * @function
+     * @private
+     * @returns {Object}
+     */
+    Calendar.prototype._getCellDate = function (cell) {
+        return createDateObject([tiny.parent(cell, 'table').getAttribute('data-month'), cell.getAttribute('data-day')].join('/'));
+    };
+
+    /**
+     * Checks if the month of a given date is one of the visible months.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._isVisible = function (date) {
+        var months = (date.year - this._dates.current.year) * 12 + date.month - this._dates.current.month;
+
+        return months >= 0 && months < this._options.months;
+    };
+
+    /**
+     * Sets a given date as the start of a new range, or as the end of the pending one.
+     * @function
+     * @private
+     */
+    Calendar.prototype._pickRange = function (date) {
+        var start = this._dates.pending;
+
+        // A date before the pending start begins a new range
+        if (start === undefined || date.native < start.native) {
+            this._dates.pending = date;
+
+            /**
+             * The days checked after the start of the pending range: the last checked one and the first disabled one.
+             * @type {Object}
+             * @private
+             */
+            this._dates.scan = {
+                'last': addDays(date, -1),
+                'disabled': undefined
+            };
+
+            this._dates.selected = [[date, date]];
+            this._updateTemplate(this._dates.current);
+
+            /**
+             * Event emitted when the start of a range is picked.
+             * @event ch.Calendar#rangestart
+             * @param {String} start The start of the range.
+             * @example
+             * // Subscribe to "rangestart" event.
+             * calendar.on('rangestart', function (start) {
+             *     // Some code here!
+             * });
+             */
+            this.emit('rangestart', formatDate(date, this._locale.format, this._locale));
+
+            return this;
+        }
+
+        this._setRange(start, date);
+
+        return this;
+    };
+
+    /**
+     * Marks the days between the pending start and a given date. Clears the preview when the date isn't given.
+     * @function
+     * @private
+     */
+    Calendar.prototype._previewRange = function (date) {
+        var that = this,
+            start = this._dates.pending;
+
+        Array.prototype.forEach.call(this.container.querySelectorAll('.ch-calendar-day'), function (cell) {
+            var cellDate = that._getCellDate(cell);
+
+            tiny[(date !== undefined && cellDate.native > start.native && cellDate.native <= date.native) ? 'addClass' : 'removeClass'](cell, 'ch-calendar-range-preview');
+        });
+
+        return this;
+    };
+
+    /**
+     * Checks if a given date can end the pending range, according to "minSpan" and "maxSpan".
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._isInSpan = function (date) {
+        var start = this._dates.pending,
+            span,
+            disabled;
+
+        // Dates before the start begin a new range
+        if (start === undefined || date.native < start.native) {
+            return true;
+        }
+
+        span = daysBetween(start, date);
+        disabled = this._getFirstDisabledDay(date);
+
+        return span >= (this._options.minSpan || 0) && (this._options.maxSpan === undefined || span <= this._options.maxSpan) && (disabled === undefined || daysBetween(disabled, date) < 0);
+    };
+
+    /**
+     * Returns the first disabled day from the start of the pending range up to a given date, or undefined. Each day is checked once per pending range.
+     * @function
+     * @private
+     * @returns {Object}
+     */
+    Calendar.prototype._getFirstDisabledDay = function (date) {
+        var scan = this._dates.scan,
+            day;
+
+        while (scan.disabled === undefined && daysBetween(scan.last, date) > 0) {
+            day = addDays(scan.last, 1);
+
+            if (this._isDisabled(day)) {
+                scan.disabled = day;
+            }
+
+            scan.last = day;
+        }
+
+        return scan.disabled;
+    };
+
+    /**
+     * Selects the range between two given dates.
+     * @function
+     * @private
+     */
+    Calendar.prototype._setRange = function (start, end) {
+        this._dates.pending = undefined;
+        this._dates.selected = [[start, end]];
+        this._updateTemplate(this._dates.current);
+
+        /**
+         * Event emitted when a range is selected.
+         * @event ch.Calendar#rangeselect
+         * @param {String} start The start of the range.
+         * @param {String} end The end of the range.
+         * @example
+         * // Subscribe to "rangeselect" event.
+         * calendar.on('rangeselect', function (start, end) {
+         *     // Some code here!
+         * });
+         */
+        this.emit('rangeselect', formatDate(start, this._locale.format, this._locale), formatDate(end, this._locale.format, this._locale));
+
+        return this;
+    };
+
+    /**
+     * Checks if it has got a previous month to show depending on "from" limit.
+     * @function
+     * @private
+     */
+    Calendar.prototype._hasPrevMonth = function () {
+        return this._dates.range.from === undefined || !(this._dates.range.from.month >= this._dates.current.month && this._dates.range.from.year >= this._dates.current.year);
+    };
+
+    /**
+     * Checks if it has got a next month to show depending on "to" limits.
+     * @function
+     * @private
+     */
+    Calendar.prototype._hasNextMonth = function () {
+        // The last visible month
+        var last = addMonths(this._dates.current, this._options.months - 1);
+
+        return this._dates.range.to === undefined || !(this._dates.range.to.month <= last.month && this._dates.range.to.year <= last.year);
+    };
+
+    /**
+     * Refresh arrows visibility depending on "from" and "to" limits.
+     * @function
+     * @private
+     */
+    Calendar.prototype._updateControls = function () {
+
+        // Show previous arrow when it's out of limit
+        if (this._hasPrevMonth()) {
+            tiny.removeClass(this._prev, 'ch-hide');
+            this._prev.setAttribute('aria-hidden', 'false');
+
+        // Hide previous arrow when it's out of limit
+        } else {
+            tiny.addClass(this._prev, 'ch-hide');
+            this._prev.setAttribute('aria-hidden', 'true');
+        }
+
+        // Show next arrow when it's out of limit
+        if (this._hasNextMonth()) {
+            tiny.removeClass(this._next, 'ch-hide');
+            this._next.setAttribute('aria-hidden', 'false');
+
+        // Hide next arrow when it's out of limit
+        } else {
+            tiny.addClass(this._next, 'ch-hide');
+            this._next.setAttribute('aria-hidden', 'true');
+        }
+
+        return this;
+    };
+
+    /**
+     * Refresh the structure of Calendar's table with a new date.
+     * @function
+     * @private
+     */
+    Calendar.prototype._updateTemplate = function (date) {
+        var month;
+
+        // Update "currentDate" object
+        this._dates.current = (typeof date === 'string') ? createDateObject(date) : date;
+
+        // Delete old tables
+        month = this.container.querySelector((this._options.months > 1) ? '.ch-calendar-months' : 'table');
+        this.container.removeChild(month);
+
+        // Append new tables to content, before the time selector
+        if (this._time !== undefined) {
+            this._time.insertAdjacentHTML('beforebegin', this._createMonths(this._dates.current));
+            this._updateTime();
+        } else {
+            this.container.insertAdjacentHTML('beforeend', this._createMonths(this._dates.current));
+        }
+
+        // Refresh arrows
+        this._updateControls();
+
+        return this;
+    };
+
+    /**
+     * Creates the tables of the visible months, starting on the month of a given date. Several months are wrapped to be laid out together.
+     * @function
+     * @private
+     * @returns {String}
+     */
+    Calendar.prototype._createMonths = function (date) {
+        var that = this,
+            selected = Array.isArray(this._dates.selected) ? [].concat(this._dates.selected[0])[0] : this._dates.selected,
+            months = [],
+            i;
+
+        // Day reachable with the tab key: the focused one, the start of a pending range, the selected one, today or the first day of the first month
+        this._dates.focused = [this._dates.focused, this._dates.pending, selected, this._dates.today].filter(function (candidate) {
+            return candidate && that._isVisible(candidate);
+        })[0] || createDateObject([date.year, date.month, '01'].join('/'));
+
+        for (i = 0; i < this._options.months; i += 1) {
+            months.push(this._createTemplate(addMonths(createDateObject([date.year, date.month, '01'].join('/')), i), i));
+        }
+
+        return (this._options.months > 1) ? '<div class="ch-calendar-months">' + months.join('') + '</div>' : months.join('');
+    };
+
+    /**
+     * Creates a complete month in a table.
+     * @function
+     * @private
+     */
+    Calendar.prototype._createTemplate = function (date, index) {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this,
+            cell,
+            positive,
+            day,
+            dayDate,
+            isSelected,
+            isDisabled,
+            rendered,
+            focused = this._dates.focused,
+            selectedRange = (this._options.range && Array.isArray(this._dates.selected)) ? this._dates.selected[0] : undefined,
+            thead = (function () {
+
+                // Create thead structure
+                var t = ['<thead><tr role="row">'],
+                    dayIndex;
+
+                // Add week names
+                for (dayIndex = 0; dayIndex < 7; dayIndex += 1) {
+                    t.push('<th role="columnheader">' + that._locale.weekdays[(dayIndex + that._locale.firstDay) % 7] + '</th>');
+                }
+
+                // Close thead structure
+                t.push('</tr></thead>');
+
+                // Join structure and return
+                return t.join('');
+
+            }()),
+
+            table = [
+                '<table class="ch-calendar-month" role="grid" id="ch-calendar-grid-' + that.uid + (index > 0 ? '-' + index : '') + '" data-month="' + date.year + '/' + date.month + '">',
+                '<caption>' + that._locale.monthsNames[date.month - 1] + ' - ' + date.year + '</caption>',
+                thead
+            ],
+
+            // Total amount of days into month
+            cells = (function () {
+
+                // Amount of days of current month
+                var currentMonth = new Date(date.year, date.month, 0).getDate(),
+
+                // Amount of days of previous month, counted from the first day of the week
+                    prevMonth = (new Date([date.year, date.month, '01'].join('/')).getDay() - that._locale.firstDay + 7) % 7,
+
+                // Merge amount of previous and current month
+                    subtotal = prevMonth + currentMonth,
+
+                // Amount of days into last week of month
+                    latest = subtotal % 7,
+
+                // Amount of days of next month
+                    nextMonth = (latest > 0) ? 7 - latest : 0;
+
+                return {
+                    'previous': prevMonth,
+                    'subtotal': subtotal,
+                    'total': subtotal + nextMonth
+                };
+
+            }());
+
+        table.push('<tbody><tr class="ch-calendar-week" role="row">');
+
+        // Iteration of weekdays
+        for (cell = 0; cell < cells.total; cell += 1) {
+
+            // Push an empty cell on previous and next month
+            if (cell < cells.previous || cell > cells.subtotal - 1) {
+                table.push('<td role="gridcell" class="ch-calendar-other">X</td>');
+            } else {
+
+                // Positive number of iteration
+                positive = cell + 1;
+
+                // Day number
+                day = positive - cells.previous;
+
+                // Define if it's the day selected
+                isSelected = this._isSelected(date.year, date.month, day);
+
+                // Date of the day
+                dayDate = createDateObject([date.year, date.month, day].join('/'));
+
+                isDisabled = (
+                    // Disable cell if it's out of FROM range
+                    (that._dates.range.from && day < that._dates.range.from.day && date.month === that._dates.range.from.month && date.year === that._dates.range.from.year) ||
+
+                    // Disable cell if it's out of TO range
+                    (that._dates.range.to && day > that._dates.range.to.day && date.month === that._dates.range.to.month && date.year === that._dates.range.to.year) ||
+
+                    // Disable cell if it's a disabled date
+                    that._isDisabled(dayDate) ||
+
+                    // Disable cell if it can't end the pending range
+                    (that._options.range && !that._isInSpan(dayDate))
+                );
+
+                // Customizations of the cell
+                rendered = (typeof that._options.renderDay === 'function') ? that._options.renderDay(dayDate.native, {
+                    'selected': isSelected,
+                    'disabled': isDisabled,
+                    'today': isSameDay(dayDate, that._dates.today)
+                }) || {} : {};
+
+                // Create cell
+                table.push(
+                    // Open cell structure including WAI-ARIA and classnames space opening
+                    '<td role="gridcell" data-day="' + day + '" tabindex="' + (isSameDay(dayDate, focused) ? 0 : -1) + '"',
+                    (isSelected ? ' aria-selected="true"' : null),
+                    (isDisabled ? ' aria-disabled="true"' : null),
+                    (rendered.label ? ' aria-label="' + day + ', ' + rendered.label + '"' : null),
+                    ' class="ch-calendar-day',
+
+                    // Add Today classname if it's necesary
+                    isSameDay(dayDate, that._dates.today) ? ' ch-calendar-today' : null,
+
+                    // Add Selected classname if it's necesary
+                    (isSelected ? ' ch-calendar-selected ' : null),
+
+                    // Add start and end classnames of a selected range
+                    (selectedRange && isSameDay(dayDate, selectedRange[0])) ? ' ch-calendar-range-start' : null,
+                    (selectedRange && isSameDay(dayDate, selectedRange[1])) ? ' ch-calendar-range-end' : null,
+
+                    // Disabling cells
+                    isDisabled ? ' ch-calendar-disabled' : null,
+
+                    // Add the classnames of the customization
+                    rendered.className ? ' ' + rendered.className : null,
+
+                    // Close classnames attribute and print content closing cell structure
+                    '">' + day + (rendered.content || '') + '</td>'
+                );
+
+                // Cut week if there are seven days
+                if (positive % 7 === 0) {
+                    table.push('</tr><tr class="ch-calendar-week" role="row">');
+                }
+
+            }
+
+        }
+
+        table.push('</tr></tbody></table>');
+
+        // Return table object
+        return table.join('');
+
+    };
+
+    /**
+     * Checks if a given date is into 'from' and 'to' dates.
+     * @function
+     * @private
+     */
+    Calendar.prototype._isInRange = function (date) {
+        var inRangeFrom = true,
+            inRangeTo = true;
+
+        if (this._dates.range.from) {
+            inRangeFrom = (this._dates.range.from.native <= date.native);
+        }
+
+        if (this._dates.range.to) {
+            inRangeTo = (this._dates.range.to.native >= date.native);
+        }
+
+        return inRangeFrom && inRangeTo;
+    };
+
+    /**
+     * Checks if a given date is disabled by the "disabled" option.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._isDisabled = function (date) {
+        if (typeof this._options.disabled === 'function') {
+            return this._options.disabled(new Date(date.year, date.month - 1, date.day)) === true;
+        }
+
+        return this._disabled.weekdays[date.order] === true || this._disabled.dates[[date.year, date.month, date.day].join('/')] === true;
+    };
+
+    /**
+     * Checks if there's a disabled date between two given dates, both included.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._hasDisabledDays = function (start, end) {
+        var date = new Date(start.year, start.month - 1, start.day);
+
+        while (date <= end.native) {
+            if (this._isDisabled(createDateObject(date))) {
+                return true;
+            }
+            date.setDate(date.getDate() + 1);
+        }
+
+        return false;
+    };
+
+    /**
+     * Indicates if an specific date is selected or not (including date ranges and simple dates).
+     * @function
+     * @private
+     */
+    Calendar.prototype._isSelected = function (year, month, day) {
+        var yepnope;
+
+        if (!this._dates.selected) { return; }
+
+        yepnope = false;
+
+        // Simple selection
+        if (!Array.isArray(this._dates.selected)) {
+            if (year === this._dates.selected.year && month === this._dates.selected.month && day === this._dates.selected.day) {
+                yepnope = true;
+                return yepnope;
+            }
+
+        // Multiple selection (ranges)
+        } else {
+            this._dates.selected.forEach(function (e) {
+                // Simple date
+                if (!Array.isArray(e)) {
+                    if (year === e.year && month === e.month && day === e.day) {
+                        yepnope = true;
+                        return yepnope;
+                    }
+                // Range
+                } else {
+                    if (
+                        new Date(year, month - 1, day) >= new Date(e[0].year, e[0].month - 1, e[0].day) &&
+                            new Date(year, month - 1, day) <= new Date(e[1].year, e[1].month - 1, e[1].day)
+                    ) {
+                        yepnope = true;
+                        return yepnope;
+                    }
+                }
+            });
+        }
+
+        return yepnope;
+    };
+
+    /**
+     * Selects a specific date or returns the selected date.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @param {String} [date] A given date to select. The format of the given date should be "YYYY/MM/DD".
+     * @returns {calendar}
+     * @example
+     * // Returns the selected date.
+     * calendar.select();
+     * @example
+     * // Select a specific date.
+     * calendar.select('2014/05/28');
+     */
+    Calendar.prototype.select = function (date) {
+        // Getter
+        if (!date) {
+            if (this._dates.selected === undefined) {
+                return;
+            }
+            return formatDate(tiny.extend({}, this._dates.selected, this._dates.time), this._locale.format, this._locale);
+        }
+
+        // Setter
+        var newDate = createDateObject(date);
+
+
+        if (!this._isInRange(newDate) || this._isDisabled(newDate)) {
+            return this;
+        }
+
+        // Update selected date
+        this._dates.selected = (date === 'today') ? this._dates.today : newDate;
+
+        // Create a new table of selected month, unless it's already visible
+        this._updateTemplate(this._isVisible(this._dates.selected) ? this._dates.current : this._dates.selected);
+
+        /**
+         * Event emitted when a date or a time is selected.
+         * @event ch.Calendar#select
+         * @param {String} date The selected date as an ISO 8601 string.
+         * @example
+         * // Subscribe to "select" event.
+         * calendar.on('select', function (date) {
+         *     // Some code here!
+         * });
+         */
+        this.emit('select', this.getISOString());
+
+        return this;
+    };
+
+    /**
+     * Selects a range of dates or returns the selected range.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @param {String} [start] The start of the range. The format of the given date should be "YYYY/MM/DD".
+     * @param {String} [end] The end of the range. The format of the given date should be "YYYY/MM/DD".
+     * @returns {(calendar | Array)}
+     * @example
+     * // Returns the selected range.
+     * calendar.selectRange();
+     * @example
+     * // Select a range.
+     * calendar.selectRange('2014/05/28', '2014/06/02');
+     */
+    Calendar.prototype.selectRange = function (start, end) {
+        var selected = this._dates.selected,
+            format = this._locale.format,
+            span;
+
+        // Getter
+        if (start === undefined) {
+            if (!Array.isArray(selected) || !Array.isArray(selected[0]) || this._dates.pending !== undefined) {
+                return;
+            }
+            return [formatDate(selected[0][0], format, this._locale), formatDate(selected[0][1], format, this._locale)];
+        }
+
+        // Setter
+        start = (start === 'today') ? this._dates.today : createDateObject(start);
+        end = (end === 'today') ? this._dates.today : createDateObject(end);
+
+        span = daysBetween(start, end);
+
+        if (!this._isInRange(start) || !this._isInRange(end) || span < (this._options.minSpan || 0) || span > this._options.maxSpan || this._hasDisabledDays(start, end)) {
+            return this;
+        }
+
+        this._dates.current = createDateObject([start.year, start.month, '01'].join('/'));
+        this._setRange(start, end);
+
+        return this;
+    };
+
+    /**
+     * Reads a typed date: relative words and amounts such as "hoy" or "+3d", day, month and year in the order of the format with any separator, two-digit years and month names of the locale. With the time selector, a time such as "14:30" or "2:30 pm" is read into "hours" and "minutes".
+     * @function
+     * @private
+     * @returns {Object}
+     */
+    Calendar.prototype._parse = function (text) {
+        var locale = this._locale,
+            today = this._dates.today,
+            relative = locale.relative || {},
+            units = locale.units || {},
+            // Order of the day, month and year in the format, ignoring the text between brackets
+            format = locale.format.replace(/\[[^\]]*\]/g, ''),
+            order = ['D', 'M', 'Y'].sort(function (a, b) {
+                return format.indexOf(a) - format.indexOf(b);
+            }),
+            values = {},
+            numbers = [],
+            tokens,
+            token,
+            match,
+            amount,
+            i;
+
+        text = simplify(String(text)).replace(/^\s+|\s+$/g, '');
+
+        if (text === '') {
+            return;
+        }
+
+        // The time is read apart from the date
+        match = this._options.time ? text.match(TIME_PATTERN) : null;
+
+        if (match !== null) {
+            values.date = this._parse(text.replace(match[0], ' '));
+            values.hours = parseInt(match[1], 10);
+            values.minutes = parseInt(match[2], 10);
+
+            if (match[3] !== undefined) {
+                values.hours = (values.hours % 12) + (match[3] === 'p' ? 12 : 0);
+            }
+
+            if (values.date === undefined || values.hours > 23 || values.minutes > 59) {
+                return;
+            }
+
+            values.date.hours = values.hours;
+            values.date.minutes = values.minutes;
+
+            return values.date;
+        }
+
+        // Relative words such as "hoy" or "mañana"
+        for (token in relative) {
+            if (relative.hasOwnProperty(token) && simplify(token) === text) {
+                return addDays(today, relative[token]);
+            }
+        }
+
+        // Relative amounts such as "+3d" or "-1 semana"
+        match = text.match(/^([+\-])\s*(\d+)\s*([a-z]*)$/);
+
+        if (match !== null) {
+            amount = parseInt(match[2], 10) * (match[1] === '-' ? -1 : 1);
+
+            switch (match[3] === '' ? 'day' : units[match[3].charAt(0)]) {
+            case 'day':
+                return addDays(today, amount);
+            case 'week':
+                return addDays(today, amount * 7);
+            case 'month':
+                return addMonths(today, amount);
+            case 'year':
+                return addMonths(today, amount * 12);
+            default:
+                return;
+            }
+        }
+
+        tokens = text.split(/[^0-9a-z]+/);
+
+        for (i = 0; i < tokens.length; i += 1) {
+            token = tokens[i];
+
+            if (/^\d+$/.test(token)) {
+                numbers.push(token);
+            } else if (token.length >= 3 && this._findMonth(token) !== -1) {
+                values.M = this._findMonth(token) + 1;
+            } else if (token.length > 3 && !this._isWeekday(token)) {
+                // Short words such as "de" or "of" are ignored
+                return;
+            }
+        }
+
+        // Digits without separators, such as "150924" or "15092024"
+        if (numbers.length === 1 && values.M === undefined && (numbers[0].length === 6 || numbers[0].length === 8)) {
+            token = numbers[0];
+            amount = token.length;
+            numbers = [];
+
+            order.forEach(function (part) {
+                var length = (part === 'Y' && amount === 8) ? 4 : 2;
+                numbers.push(token.slice(0, length));
+                token = token.slice(length);
+            });
+        }
+
+        if (values.M !== undefined) {
+            // The day and the year around a month name
+            numbers.forEach(function (number) {
+                values[(number.length > 2 || values.D !== undefined) ? 'Y' : 'D'] = number;
+            });
+
+            if (numbers.length > 2) {
+                return;
+            }
+
+        } else if (numbers.length === 3 && numbers[0].length > 2) {
+            // Years first, such as "2024-09-15"
+            values = {'Y': numbers[0], 'M': numbers[1], 'D': numbers[2]};
+
+        } else if (numbers.length === 1) {
+            values.D = numbers[0];
+
+        } else if (numbers.length === 2 || numbers.length === 3) {
+            order.filter(function (part) {
+                return numbers.length === 3 || part !== 'Y';
+            }).forEach(function (part, index) {
+                values[part] = numbers[index];
+            });
+
+        } else {
+            return;
+        }
+
+        values.D = parseInt(values.D, 10);
+        values.M = (values.M !== undefined) ? parseInt(values.M, 10) : today.month;
+        values.Y = (values.Y !== undefined) ? parseInt(values.Y, 10) : today.year;
+
+        // Two-digit years belong to the current century, up to twenty years ahead
+        if (values.Y < 100) {
+            values.Y += (2000 + values.Y > today.year + 20) ? 1900 : 2000;
+        }
+
+        if (isNaN(values.D) || values.M < 1 || values.M > 12 || values.D < 1 || values.D > new Date(values.Y, values.M, 0).getDate()) {
+            return;
+        }
+
+        return createDateObject([values.Y, values.M, values.D].join('/'));
+    };
+
+    /**
+     * Returns the index of the month whose name starts with a given simplified word, or -1.
+     * @function
+     * @private
+     * @returns {Number}
+     */
+    Calendar.prototype._findMonth = function (word) {
+        var names = this._locale.monthsNames,
+            i;
+
+        for (i = 0; i < names.length; i += 1) {
+            if (simplify(names[i]).indexOf(word) === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    };
+
+    /**
+     * Checks if a given simplified word is the name of a weekday.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._isWeekday = function (word) {
+        return this._locale.weekdays.some(function (name) {
+            return word.indexOf(simplify(name)) === 0;
+        });
+    };
+
+    /**
+     * Parses a typed date, in a lenient way: any separator, two-digit years, month names of the locale and relative terms such as "hoy", "mañana" or "+3d".
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @param {String} text The typed date.
+     * @returns {String} The date with the format "YYYY/MM/DD", followed by the time with the format "HH:mm" if there's one, or undefined if the text isn't a date.
+     * @example
+     * // Parse a typed date.
+     * calendar.parse('15-9-24'); // '2024/09/15'
+     * @example
+     * // Parse a relative date.
+     * calendar.parse('+3d');
+     */
+    Calendar.prototype.parse = function (text) {
+        var date = this._parse(text);
+
+        if (date === undefined) {
+            return;
+        }
+
+        return [date.year, addZero(date.month), addZero(date.day)].join('/') + ((date.hours !== undefined) ? ' ' + toTime(date.hours * 60 + date.minutes) : '');
+    };
+
+    /**
+     * Creates the time selector.
+     * @function
+     * @private
+     */
+    Calendar.prototype._configureTime = function () {
+        var that = this;
+
+        /**
+         * The selected time.
+         * @type {Object}
+         * @private
+         */
+        this._dates.time = undefined;
+
+        /**
+         * The time selector container.
+         * @type {HTMLDivElement}
+         * @private
+         */
+        this._time = document.createElement('div');
+        this._time.innerHTML = '<label for="ch-calendar-time-' + this.uid + '">' + (this._locale.timeLabel || '') + '</label> <select id="ch-calendar-time-' + this.uid + '"></select>';
+        tiny.addClass(this._time, 'ch-calendar-time');
+
+        /**
+         * The select of times.
+         * @type {HTMLSelectElement}
+         * @private
+         */
+        this._timeSelect = this._time.querySelector('select');
+
+        tiny.on(this._timeSelect, 'change', function () {
+            that.selectTime(that._timeSelect.value);
+        });
+
+        this.container.appendChild(this._time);
+        this._updateTime();
+
+        return this;
+    };
+
+    /**
+     * Returns the times that can be selected, as minutes since midnight, according to "timeStep", "minTime" and "maxTime".
+     * @function
+     * @private
+     * @returns {Array}
+     */
+    Calendar.prototype._getTimes = function () {
+        var times = [],
+            minutes = toMinutes(this._options.minTime),
+            max = toMinutes(this._options.maxTime);
+
+        for (minutes; minutes <= max; minutes += this._options.timeStep) {
+            times.push(minutes);
+        }
+
+        return times;
+    };
+
+    /**
+     * Checks if a given time, as minutes since midnight, can be selected on a given date.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    Calendar.prototype._isTimeAvailable = function (minutes, date) {
+        var disabled = this._options.disabledTimes;
+
+        if (this._getTimes().indexOf(minutes) === -1) {
+            return false;
+        }
+
+        if (typeof disabled === 'function') {
+            return disabled(new Date(date.year, date.month - 1, date.day, Math.floor(minutes / 60), minutes % 60)) !== true;
+        }
+
+        return !Array.isArray(disabled) || disabled.indexOf(toTime(minutes)) === -1;
+    };
+
+    /**
+     * Refreshes the times of the selector for the selected date, dropping the selected time if it isn't available anymore.
+     * @function
+     * @private
+     */
+    Calendar.prototype._updateTime = function () {
+        var that = this,
+            date = (this._dates.selected && !Array.isArray(this._dates.selected)) ? this._dates.selected : this._dates.today,
+            time = this._dates.time,
+            selected = (time !== undefined) ? time.hours * 60 + time.minutes : undefined,
+            options = ['<option value="" disabled>--:--</option>'];
+
+        if (selected !== undefined && !this._isTimeAvailable(selected, date)) {
+            this._dates.time = selected = undefined;
+        }
+
+        this._getTimes().forEach(function (minutes) {
+            options.push(
+                '<option value="' + toTime(minutes) + '"',
+                that._isTimeAvailable(minutes, date) ? '' : ' disabled',
+                (minutes === selected) ? ' selected' : '',
+                '>' + formatDate({'hours': Math.floor(minutes / 60), 'minutes': minutes % 60}, that._locale.timeFormat, that._locale) + '</option>'
+            );
+        });
+
+        this._timeSelect.innerHTML = options.join('');
+        this._timeSelect.value = (selected !== undefined) ? toTime(selected) : '';
+
+        return this;
+    };
+
+    /**
+     * Selects a time or returns the selected time.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @param {String} [time] A given time to select, with the format "HH:mm".
+     * @returns {(calendar | String)}
+     * @example
+     * // Returns the selected time.
+     * calendar.selectTime();
+     * @example
+     * // Select a specific time.
+     * calendar.selectTime('14:30');
+     */
+    Calendar.prototype.selectTime = function (time) {
+        var date = (this._dates.selected && !Array.isArray(this._dates.selected)) ? this._dates.selected : this._dates.today,
+            minutes;
+
+        // Getter
+        if (time === undefined) {
+            return (this._dates.time !== undefined) ? toTime(this._dates.time.hours * 60 + this._dates.time.minutes) : undefined;
+        }
+
+        // Setter
+        minutes = toMinutes(time);
+
+        if (!this._options.time || isNaN(minutes) || !this._isTimeAvailable(minutes, date)) {
+            return this;
+        }
+
+        this._dates.time = {
+            'hours': Math.floor(minutes / 60),
+            'minutes': minutes % 60
+        };
+
+        this._timeSelect.value = toTime(minutes);
+
+        // Without a date, the time is kept until a date is selected
+        if (this._dates.selected && !Array.isArray(this._dates.selected)) {
+            this.emit('select', this.getISOString());
+        }
+
+        return this;
+    };
+
+    /**
+     * Returns the selected date as an ISO 8601 string, with the time and the time zone offset when a time is selected.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @returns {String}
+     * @example
+     * // Returns the selected date, such as "2014-05-28T14:30:00-03:00".
+     * calendar.getISOString();
+     */
+    Calendar.prototype.getISOString = function () {
+        var selected = this._dates.selected,
+            time = this._dates.time,
+            offset,
+            iso;
+
+        if (!selected || Array.isArray(selected)) {
+            return;
+        }
+
+        iso = [selected.year, addZero(selected.month), addZero(selected.day)].join('-');
+
+        if (time === undefined) {
+            return iso;
+        }
+
+        offset = -new Date(selected.year, selected.month - 1, selected.day, time.hours, time.minutes).getTimezoneOffset();
+
+        return iso + 'T' + toTime(time.hours * 60 + time.minutes) + ':00' + (offset < 0 ? '-' : '+') + toTime(Math.abs(offset));
+    };
+
+    /**
+     * Returns date of today
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @returns {String} The date of today
+     * @example
+     * // Get the date of today.
+     * var today = calendar.getToday();
+     */
+    Calendar.prototype.getToday = function () {
+        return formatDate(this._dates.today, this._locale.format, this._locale);
+    };
+
+    /**
+     * Moves to the next month, or to the next group of months when several months are shown.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @returns {calendar}
+     * @example
+     * // Moves to the next month.
+     * calendar.nextMonth();
+     */
+    Calendar.prototype.nextMonth = function () {
+        var next;
+
+        if (!this._enabled || !this._hasNextMonth()) {
+            return this;
+        }
+
+        // Moves as many months as the visible ones
+        next = addMonths(this._dates.current, this._options.months);
+
+        // Create a new table of selected month
+        this._updateTemplate([next.year, next.month, '01'].join('/'));
+
+        /**
+         * Event emitted when a next month is shown.
+         * @event ch.Calendar#nextmonth
+         * @example
+         * // Subscribe to "nextmonth" event.
+         * calendar.on('nextmonth', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('nextmonth');
+
+        return this;
+    };
+
+    /**
+     * Move to the previous month, or to the previous group of months when several months are shown.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @returns {calendar}
+     * @example
+     * // Moves to the prev month.
+     * calendar.prevMonth();
+     */
+    Calendar.prototype.prevMonth = function () {
+        var prev;
+
+        if (!this._enabled || !this._hasPrevMonth()) {
+            return this;
+        }
+
+        // Moves as many months as the visible ones
+        prev = addMonths(this._dates.current, -this._options.months);
+
+        // Create a new table to the prev month
+        this._updateTemplate([prev.year, prev.month, '01'].join('/'));
+
+        /**
+         * Event emitted when a previous month is shown.
+         * @event ch.Calendar#prevmonth
+         * @example
+         * // Subscribe to "prevmonth" event.
+         * calendar.on('prevmonth', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('prevmonth');
+
+        return this;
+    };
+
+    /**
+     * Move to the next year.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @returns {calendar}
+     * @example
+     * // Moves to the next year.
+     * calendar.nextYear();
+     */
+    Calendar.prototype.nextYear = function () {
+
+        if (!this._enabled || !this._hasNextMonth()) {
+            return this;
+        }
+
+        // Create a new table of selected month
+        this._updateTemplate([this._dates.current.year + 1, this._dates.current.month, '01'].join('/'));
+
+        /**
+         * Event emitted when a next year is shown.
+         * @event ch.Calendar#nextyear
+         * @example
+         * // Subscribe to "nextyear" event.
+         * calendar.on('nextyear', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('nextyear');
+
+        return this;
+    };
+
+    /**
+     * Move to the previous year.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @returns {calendar}
+     * @example
+     * // Moves to the prev year.
+     * calendar.prevYear();
+     */
+    Calendar.prototype.prevYear = function () {
+
+        if (!this._enabled || !this._hasPrevMonth()) {
+            return this;
+        }
+
+        // Create a new table to the prev year
+        this._updateTemplate([this._dates.current.year - 1, this._dates.current.month, '01'].join('/'));
+
+        /**
+         * Event emitted when a previous year is shown.
+         * @event ch.Calendar#prevyear
+         * @example
+         * // Subscribe to "prevyear" event.
+         * calendar.on('prevyear', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('prevyear');
+
+        return this;
+    };
+
+    /**
+     * Set a minimum selectable date.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @param {String} date A given date to set as minimum selectable date. The format of the given date should be "YYYY/MM/DD".
+     * @returns {calendar}
+     * @example
+     * // Set a minimum selectable date.
+     * calendar.setFrom('2010/05/28');
+     */
+    Calendar.prototype.setFrom = function (date) {
+        // this from is a reference to the global form
+        this._dates.range.from = (date === 'auto') ? undefined : createDateObject(date);
+        this._updateTemplate(this._dates.current);
+
+        return this;
+    };
+
+    /**
+     * Set a maximum selectable date.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @param {String} date A given date to set as maximum selectable date. The format of the given date should be "YYYY/MM/DD".
+     * @returns {calendar}
+     * @example
+     * // Set a maximum selectable date.
+     * calendar.setTo('2014/05/28');
+     */
+    Calendar.prototype.setTo = function (date) {
+        // this to is a reference to the global to
+        this._dates.range.to = (date === 'auto') ? undefined : createDateObject(date);
+        this._updateTemplate(this._dates.current);
+
+        return this;
+    };
+
+    /**
+     * Destroys a Calendar instance.
+     * @memberof! ch.Calendar.prototype
+     * @function
+     * @example
+     * // Destroy a calendar
+     * calendar.destroy();
+     * // Empty the calendar reference
+     * calendar = undefined;
+     */
+    Calendar.prototype.destroy = function () {
+
+        this._el.parentNode.replaceChild(this._snippet, this._el);
+
+        tiny.trigger(window.document, ch.onlayoutchange);
+
+        parent.destroy.call(this);
+
+        return;
+    };
+
+    // Factorize
+    ch.factory(Calendar, normalizeOptions);
+
+}(this, this.ch));
+
+(function (window, ch) {
+    'use strict';
+
+    /**
+     * Datepicker lets you select dates.
+     * @memberof ch
+     * @constructor
+     * @augments ch.Component
+     * @requires ch.Calendar
+     * @param {HTMLElement} [el] A HTMLElement to create an instance of ch.Datepicker.
+     * @param {Object} [options] Options to customize an instance.
+     * @param {String} [options.locale] The name of a locale registered with ch.locale, or any locale supported by Intl.DateTimeFormat. Default: "es".
+     * @param {String} [options.format] Sets the date format. Default: The format of the locale.
+     * @param {String} [options.selected] Sets a date that should be selected by default. Default: "today".
+     * @param {String} [options.from] Set a minimum selectable date. The format of the given date should be "YYYY/MM/DD".
+     * @param {String} [options.to] Set a maximum selectable date. The format of the given date should be "YYYY/MM/DD".
+     * @param {Array} [options.monthsNames] A collection of months names. Default: The months names of the locale.
+     * @param {Array} [options.weekdays] A collection of weekdays, starting on Sunday. Default: The weekdays of the locale.
+     * @param {Number} [options.firstDay] The first day of the week, where 0 is Sunday. Default: The first day of the locale.
+     * @param {Boolean} [options.range] Lets the user pick a start and an end date. Default: false.
+     * @param {HTMLElement} [options.endField] The input field that receives the end of a range. Without it, the range is written as "start - end" into the datepicker field.
+     * @param {Number} [options.minSpan] The minimum amount of days between the start and the end of a range. Default: 0.
+     * @param {Number} [options.maxSpan] The maximum amount of days between the start and the end of a range.
+     * @param {(Array | Function)} [options.disabled] The days that can't be selected: a collection of dates with the format "YYYY/MM/DD" and weekdays from 0 (Sunday) to 6, or a function that receives a Date and returns true to disable it.
+     * @param {Function} [options.renderDay] Customizes the cell of each day. See ch.Calendar.
+     * @param {Boolean} [options.time] Adds a time selector, and the time format of the locale to the format unless the format is given. The calendar stays open until a time is chosen. Default: false.
+     * @param {Number} [options.timeStep] The amount of minutes between the times that can be selected. Default: 30.
+     * @param {String} [options.minTime] The minimum time that can be selected, with the format "HH:mm". Default: "00:00".
+     * @param {String} [options.maxTime] The maximum time that can be selected, with the format "HH:mm". Default: "23:59".
+     * @param {(Array | Function)} [options.disabledTimes] The times that can't be selected. See ch.Calendar.
+     * @param {Boolean} [options.hour12] Uses a 12-hour clock. Default: The clock of the locale.
+     * @param {Number} [options.months] The amount of consecutive months shown side by side, or stacked on narrow screens. Default: 1.
+     * @param {(Boolean | String)} [options.validation] Adds a ch.Validation error when the typed text isn't a date that can be selected. A string sets its message. It needs the field to be into a form. Default: true.
+     * @param {(String | Boolean)} [options.mobile] The strategy to use on mobile: "native" turns the field into a native date input, and "sheet" shows the calendar as a bottom sheet. Ranges always use the sheet. Default: false.
+     * @param {(String | Boolean)} [options.mobileQuery] The media query that turns the mobile strategy on, or true to always use it. Default: "(max-width: 767px)".
+     * @param {Boolean} [options.hiddenby] Determines how to hide the component. You must use: "button", "pointers", "pointerleave", "all" or "none". Default: "pointers".
+     * @param {HTMLElement} [options.context] It's a reference to position and size of element that will be considered to carry out the position.
+     * @param {String} [options.side] The side option where the target element will be positioned. You must use: "left", "right", "top", "bottom" or "center". Default: "bottom".
+     * @param {String} [options.align] The align options where the target element will be positioned. You must use: "left", "right", "top", "bottom" or "center". Default: "center".
+     * @param {Number} [options.offsetX] Distance to displace the target horizontally.
+     * @param {Number} [options.offsetY] Distance to displace the target vertically.
+     * @param {String} [options.position] The type of positioning used. You must use: "absolute" or "fixed". Default: "absolute".
+     * @returns {datepicker} Returns a new instance of Datepicker.
+     * @example
+     * // Create a new Datepicker.
+     * var datepicker = new ch.Datepicker([selector], [options]);
+     * @example
+     * // Create a new Datepicker with custom options.
+     * var datepicker = new ch.Datepicker({
+     *     "format": "MM/DD/YYYY",
+     *     "selected": "2011/12/25",
+     *     "from": "2010/12/25",
+     *     "to": "2012/12/25",
+     *     "monthsNames": ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"],
+     *     "weekdays": ["Su", "Mo", "Tu", "We", "Thu", "Fr", "Sa"]
+     * });
+     * @example
+     * // Create a new Datepicker to fill check-in and check-out fields.
+     * var datepicker = new ch.Datepicker(checkIn, {
+     *     "range": true,
+     *     "endField": checkOut,
+     *     "minSpan": 1,
+     *     "months": 2
+     * });
+     * @example
+     * // Create a new Datepicker to book an appointment every 15 minutes during office hours.
+     * var datepicker = new ch.Datepicker(el, {
+     *     "time": true,
+     *     "timeStep": 15,
+     *     "minTime": "09:00",
+     *     "maxTime": "17:45"
+     * });
+     * @example
+     * // Create a new Datepicker that uses the native date input on small screens.
+     * var datepicker = new ch.Datepicker(el, {
+     *     "mobile": "native"
+     * });
+     * @example
+     * // Create a new Datepicker in American English.
+     * var datepicker = new ch.Datepicker(el, {
+     *     "locale": "en-US"
+     * });
+     */
+    function Datepicker(selector, options) {
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        this._init(selector, options);
+
+        if (this.initialize !== undefined) {
+            /**
+             * If you define an initialize method, it will be executed when a new Datepicker is created.
+             * @memberof! ch.Datepicker.prototype
+             * @function
+             */
+            this.initialize();
+        }
+
+        /**
+         * Event emitted when the component is ready to use.
+         * @event ch.Datepicker#ready
+         * @example
+         * // Subscribe to "ready" event.
+         * datepicker.on('ready', function () {
+         *     // Some code here!
+         * });
+         */
+        window.setTimeout(function () { that.emit('ready'); }, 50);
+    }
+
+    // Inheritance
+    tiny.inherits(Datepicker, ch.Component);
+
+    var parent = Datepicker.super_.prototype,
+        // Creates methods enable and disable into the prototype.
+        methods = ['enable', 'disable'],
+        len = methods.length;
+
+    /**
+     * Converts a given date object of ch.Calendar to the "YYYY-MM-DD" format of native date inputs.
+     * @function
+     * @private
+     * @returns {String}
+     */
+    function toISODate(date) {
+        return [date.year, ('0' + date.month).slice(-2), ('0' + date.day).slice(-2)].join('-');
+    }
+
+    /**
+     * Converts given hours and minutes of ch.Calendar to the "HH:mm" format.
+     * @function
+     * @private
+     * @returns {String}
+     */
+    function toTime(time) {
+        return ('0' + time.hours).slice(-2) + ':' + ('0' + time.minutes).slice(-2);
+    }
+
+    function createMethods(method) {
+        Datepicker.prototype[method] = function () {
+
+            this._popover[method]();
+
+            parent[method].call(this);
+
+            return this;
+        };
+    }
+
+    /**
+     * The name of the component.
+     * @memberof! ch.Datepicker.prototype
+     * @type {String}
+     * @example
+     * // You can reach the associated instance.
+     * var datepicker = $(selector).data('datepicker');
+     */
+    Datepicker.prototype.name = 'datepicker';
+
+    /**
+     * Returns a reference to the constructor function.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     */
+    Datepicker.prototype.constructor = Datepicker;
+
+    /**
+     * Configuration by default.
+     * @type {Object}
+     * @private
+     */
+    Datepicker.prototype._defaults = {
+        'validation': true,
+        'mobile': false,
+        'mobileQuery': '(max-width: 767px)',
+        'side': 'bottom',
+        'align': 'center',
+        'hiddenby': 'pointers'
+    };
+
+    /**
+     * Initialize a new instance of Datepicker and merge custom options with defaults options.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @private
+     * @returns {datepicker}
+     */
+    Datepicker.prototype._init = function (selector, options) {
+        // Call to its parent init method
+        parent._init.call(this, selector, options);
+
+        /**
+         * Reference to context of an instance.
+         * @type {Object}
+         * @private
+         */
+        var that = this;
+
+        /**
+         * The datepicker input field.
+         * @type {HTMLElement}
+         */
+        this.field = this._el;
+        this.field.insertAdjacentHTML('afterend', '<i role="button" class="ch-datepicker-trigger ch-icon-calendar"></i>');
+
+        /**
+         * The datepicker trigger.
+         * @type {HTMLElement}
+         */
+        this.trigger = tiny.next(this.field);
+
+        /**
+         * Reference to the Calendar component instanced.
+         * @type {ch.Calendar}
+         * @private
+         */
+        this._calendar = new ch.Calendar(document.createElement('div'), options);
+
+        /**
+         * Reference to the Popover component instanced.
+         * @type {ch.Popover}
+         * @private
+         */
+        this._popover = new ch.Popover(this.trigger, {
+            '_className': 'ch-datepicker ch-cone',
+            '_ariaRole': 'tooltip',
+            'content': this._calendar.container,
+            'side': this._options.side,
+            'align': this._options.align,
+            'offsetX': 1,
+            'offsetY': 10,
+            'shownby': 'pointertap',
+            'hiddenby': this._options.hiddenby
+        });
+
+        /**
+         * The layer that shows the calendar: the popover, or the sheet on mobile.
+         * @type {(ch.Popover | ch.Modal)}
+         * @private
+         */
+        this._layer = this._popover;
+
+        tiny.on(this._calendar.container, ch.onpointertap, function (event) {
+            var el = that._calendar._getCell(event.target);
+
+            // Day selection, from any of the visible months. The calendar picks the days of a range by itself
+            if (!that._options.range && that._calendar._isPickable(el)) {
+                that._calendar._pickDate(that._calendar._getCellDate(el));
+            }
+
+        });
+
+        this.field.setAttribute('aria-describedby', 'ch-popover-' + this._popover.uid);
+
+        // Change type of input to "text"
+        this.field.type = 'text';
+
+        // Change value of input if there are a selected date
+        this.field.value = (this._options.selected && !this._options.range) ? this._calendar.select() : this.field.value;
+
+        if (this._options.range) {
+            this._configureRange();
+        }
+
+        // Update the field with the date selected on the calendar, either by pointer, keyboard or API
+        this._calendar.on('select', function (date) {
+            that._updateField();
+
+            // With the time selector, the layer stays open until a time is chosen
+            if (!that._options.time || that._calendar.selectTime() !== undefined) {
+                that._layer.hide();
+            }
+
+            /**
+             * Event emitted when a date or a time is selected.
+             * @event ch.Datepicker#select
+             * @param {String} date The selected date as an ISO 8601 string.
+             * @example
+             * // Subscribe to "select" event.
+             * datepicker.on('select', function (date) {
+             *     // Some code here!
+             * });
+             */
+            that.emit('select', date);
+        });
+
+        this._bindFocus(this._popover);
+
+        // Normalize the typed dates
+        tiny.on(this.field, 'blur', function () {
+            that._normalize();
+        });
+
+        if (this._options.validation && tiny.parent(this.field, 'form') !== null) {
+            this._addValidation();
+        }
+
+        if (this._options.mobile) {
+            this._configureMobile();
+        }
+
+        // Hide popover
+        this.on('disable', this.hide);
+
+        return this;
+    };
+
+    /**
+     * Moves the focus into the grid when a given layer opens, and back to the field when it closes.
+     * @function
+     * @private
+     */
+    Datepicker.prototype._bindFocus = function (layer) {
+        var that = this;
+
+        layer.on('show', function () {
+            that._calendar._focus();
+        });
+
+        layer.on('hide', function () {
+            if (that._calendar.container.contains(document.activeElement)) {
+                that.field.focus();
+            }
+        });
+
+        return this;
+    };
+
+    /**
+     * Selects the date typed into the field and writes it with the configured format. Text that isn't a date is kept, to be reported by the validation.
+     * @function
+     * @private
+     */
+    Datepicker.prototype._normalize = function () {
+        var selected = this._calendar._dates.selected,
+            date,
+            valid;
+
+        if (this._native || this._options.range || this.field.value === '') {
+            return this;
+        }
+
+        date = this._parseField(this.field.value);
+        valid = date !== undefined;
+
+        if (valid && !(selected && selected.year === date.year && selected.month === date.month && selected.day === date.day)) {
+            this.select([date.year, date.month, date.day].join('/'));
+        }
+
+        if (valid && date.hours !== undefined) {
+            this._calendar.selectTime(toTime(date));
+        }
+
+        // The same date is only written with the format
+        if (valid) {
+            this._updateField();
+        }
+
+        // Report the error right away, or clear the one already shown
+        if (this._validation !== undefined && (!valid || this._validation.error !== null)) {
+            this._validation.validate();
+        }
+
+        return this;
+    };
+
+    /**
+     * Reads a typed date with the calendar, or returns undefined if the date or its time can't be selected.
+     * @function
+     * @private
+     * @returns {Object}
+     */
+    Datepicker.prototype._parseField = function (value) {
+        var calendar = this._calendar,
+            date = calendar._parse(value);
+
+        if (date === undefined || !calendar._isAvailable(date)) {
+            return;
+        }
+
+        if (date.hours !== undefined && !calendar._isTimeAvailable(date.hours * 60 + date.minutes, date)) {
+            return;
+        }
+
+        return date;
+    };
+
+    /**
+     * Adds the "date" condition to the ch.Validation of the field, creating one if it doesn't exist.
+     * @function
+     * @private
+     */
+    Datepicker.prototype._addValidation = function () {
+        var that = this,
+            condition = {
+                'name': 'date',
+                'message': (typeof this._options.validation === 'string') ? this._options.validation : (this._calendar._locale.messages.date || 'Use a valid date.'),
+                'fn': function (value) {
+                    if (!that._enabled || that._native || that._options.range || value === '') {
+                        return true;
+                    }
+
+                    return that._parseField(value) !== undefined;
+                }
+            };
+
+        ch.Validation._addCondition(this, condition);
+
+        return this;
+    };
+
+    /**
+     * Writes the selected date into the field, as an ISO date when the field is a native date input.
+     * @function
+     * @private
+     */
+    Datepicker.prototype._updateField = function () {
+        var value = this._calendar.select(),
+            time = this._calendar._dates.time,
+            iso;
+
+        if (this._native) {
+            iso = (value !== undefined) ? toISODate(this._calendar._dates.selected) : '';
+
+            // A native date and time input needs both
+            if (this._options.time) {
+                iso = (iso !== '' && time !== undefined) ? iso + 'T' + toTime(time) : '';
+            }
+
+            this.field.value = iso;
+
+            if (this._hidden !== undefined) {
+                this._hidden.value = value || '';
+            }
+
+            return this;
+        }
+
+        if (value !== undefined) {
+            this.field.value = value;
+        }
+
+        return this;
+    };
+
+    /**
+     * Switches to the mobile strategy while the "mobileQuery" media query matches.
+     * @function
+     * @private
+     */
+    Datepicker.prototype._configureMobile = function () {
+        var that = this;
+
+        /**
+         * The mobile strategy in use. Ranges can't be picked on a native date input, so they use the sheet.
+         * @type {String}
+         * @private
+         */
+        this._strategy = (this._options.mobile === 'native' && !this._options.range) ? 'native' : 'sheet';
+
+        /**
+         * Indicates if the mobile strategy is active.
+         * @type {Boolean}
+         * @private
+         */
+        this._mobile = false;
+
+        // The sheet is opened by the field, which is read-only to keep the on-screen keyboard away
+        tiny.on(this.field, ch.onpointertap, function () {
+            if (that._mobile && that._strategy === 'sheet') {
+                that.show();
+            }
+        });
+
+        tiny.on(this.field, 'change', function () {
+            var value = that.field.value.split('T');
+
+            if (that._native && value[0] !== '') {
+                that._calendar.select(value[0].replace(/-/g, '/'));
+            }
+
+            if (that._native && value[1] !== undefined) {
+                that._calendar.selectTime(value[1]);
+            }
+
+            // Restore the field when the chosen date can't be selected
+            that._updateField();
+        });
+
+        if (this._options.mobileQuery === true) {
+            return this._setMobile(true);
+        }
+
+        if (window.matchMedia === undefined) {
+            return this;
+        }
+
+        /**
+         * The media query list that enables the mobile strategy.
+         * @type {MediaQueryList}
+         * @private
+         */
+        this._mediaQuery = window.matchMedia(this._options.mobileQuery);
+
+        this._mediaListener = function () {
+            that._setMobile(that._mediaQuery.matches);
+        };
+
+        this._mediaQuery.addListener(this._mediaListener);
+
+        return this._setMobile(this._mediaQuery.matches);
+    };
+
+    /**
+     * Turns the mobile strategy on or off.
+     * @function
+     * @private
+     */
+    Datepicker.prototype._setMobile = function (enabled) {
+        if (enabled === this._mobile) {
+            return this;
+        }
+
+        this._layer.hide();
+        this._mobile = enabled;
+
+        // Mobile strategies are opened by the field
+        tiny[enabled ? 'addClass' : 'removeClass'](this.trigger, 'ch-hide');
+
+        if (this._strategy === 'native') {
+            this._setNative(enabled);
+        } else {
+            this.field.readOnly = enabled;
+            this._layer = enabled ? this._getSheet() : this._popover;
+            this._layer.content(this._calendar.container);
+            this.field.setAttribute('aria-describedby', 'ch-' + this._layer.name + '-' + this._layer.uid);
+
+            if (this.endField !== undefined) {
+                this.endField.setAttribute('aria-describedby', this.field.getAttribute('aria-describedby'));
             }
+        }
+
+        /**
+         * Event emitted when the mobile strategy is turned on or off.
+         * @event ch.Datepicker#mobilechange
+         * @param {Boolean} enabled Indicates if the mobile strategy is active.
+         * @example
+         * // Subscribe to "mobilechange" event.
+         * datepicker.on('mobilechange', function (enabled) {
+         *     // Some code here!
+         * });
+         */
+        this.emit('mobilechange', enabled);
+
+        return this;
+    };
 
+    /**
+     * Returns the bottom sheet that shows the calendar on mobile, creating it the first time.
+     * @function
+     * @private
+     * @returns {ch.Modal}
+     */
+    Datepicker.prototype._getSheet = function () {
+        if (this._sheet === undefined) {
             /**
-             * Event emitted when the component makes all the necessary recalculations to be up-to-date.
-             * @event ch.Carousel#refresh
-             * @ignore
+             * Reference to the Modal component instanced as a bottom sheet.
+             * @type {ch.Modal}
+             * @private
              */
-            this.emit('refresh');
+            this._sheet = new ch.Modal({
+                '_className': 'ch-modal ch-datepicker-sheet',
+                'content': this._calendar.container,
+                'width': '100%',
+                'shownby': 'none'
+            });
+
+            this._bindFocus(this._sheet);
+        }
+
+        return this._sheet;
+    };
+
+    /**
+     * Turns the field into a native date input, or back into a text field. The name of the field moves to a hidden input that keeps the formatted date.
+     * @function
+     * @private
+     */
+    Datepicker.prototype._setNative = function (enabled) {
+        var range = this._calendar._dates.range,
+            name = this.field.getAttribute('data-name');
+
+        /**
+         * Indicates if the field is a native date input.
+         * @type {Boolean}
+         * @private
+         */
+        this._native = enabled;
+
+        if (enabled) {
+            this.field.type = this._options.time ? 'datetime-local' : 'date';
+
+            if (range.from !== undefined) {
+                this.field.min = toISODate(range.from) + (this._options.time ? 'T00:00' : '');
+            }
+
+            if (range.to !== undefined) {
+                this.field.max = toISODate(range.to) + (this._options.time ? 'T23:59' : '');
+            }
+
+            if (this._options.time) {
+                this.field.step = this._calendar._options.timeStep * 60;
+            }
+
+            if (this.field.name) {
+                this._hidden = document.createElement('input');
+                this._hidden.type = 'hidden';
+                this._hidden.name = this.field.name;
+                this.field.setAttribute('data-name', this.field.name);
+                this.field.removeAttribute('name');
+                this.field.parentNode.insertBefore(this._hidden, this.field.nextSibling);
+            }
+
+        } else {
+            this.field.type = 'text';
+            this.field.removeAttribute('min');
+            this.field.removeAttribute('max');
+            this.field.removeAttribute('step');
+
+            if (this._hidden !== undefined) {
+                this.field.name = name;
+                this.field.removeAttribute('data-name');
+                this._hidden.parentNode.removeChild(this._hidden);
+                this._hidden = undefined;
+            }
         }
 
+        this.field.value = '';
+        this._updateField();
+
         return this;
     };
 
     /**
-     * Moves the list to the specified page.
-     * @memberof! ch.Carousel.prototype
+     * Fills the fields with the range picked on the calendar.
      * @function
-     * @param {Number} page Reference of page where the list has to move.
-     * @returns {carousel}
+     * @private
      */
-    Carousel.prototype.select = function (page) {
-        // Getter
-        if (page === undefined) {
-            return this._currentPage;
+    Datepicker.prototype._configureRange = function () {
+        var that = this;
+
+        /**
+         * The input field that receives the end of a range.
+         * @type {HTMLElement}
+         */
+        this.endField = this._options.endField;
+
+        if (this.endField !== undefined) {
+            this.endField.setAttribute('aria-describedby', 'ch-' + this._layer.name + '-' + this._layer.uid);
+            this.endField.type = 'text';
         }
 
-        // Avoid to move if it's disabled
-        // Avoid to select the same page that is selected yet
-        // Avoid to move beyond first and last pages
-        if (!this._enabled || page === this._currentPage || page < 1 || page > this._pages) {
+        this._calendar.on('rangestart', function (start) {
+            that.field.value = start;
+
+            if (that.endField !== undefined) {
+                that.endField.value = '';
+            }
+        });
+
+        this._calendar.on('rangeselect', function (start, end) {
+            if (that.endField !== undefined) {
+                that.field.value = start;
+                that.endField.value = end;
+            } else {
+                that.field.value = start + ' - ' + end;
+            }
+
+            that._layer.hide();
+
+            /**
+             * Event emitted when a range is selected.
+             * @event ch.Datepicker#rangeselect
+             * @param {String} start The start of the range.
+             * @param {String} end The end of the range.
+             * @example
+             * // Subscribe to "rangeselect" event.
+             * datepicker.on('rangeselect', function (start, end) {
+             *     // Some code here!
+             * });
+             */
+            that.emit('rangeselect', start, end);
+        });
+
+        return this;
+    };
+
+    /**
+     * Shows the datepicker.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {datepicker}
+     * @example
+     * // Shows a datepicker.
+     * datepicker.show();
+     */
+    Datepicker.prototype.show = function () {
+
+        if (!this._enabled) {
             return this;
         }
 
-        // Perform these tasks in the following order:
-        // Task 1: Move the list from 0 (zero), to page to move (page number beginning in zero)
-        this._translate(-this._pageWidth * (page - 1));
-        // Task 2: Update selected thumbnail on pagination
-        this._switchPagination(this._currentPage, page);
-        // Task 3: Update value of current page
-        this._currentPage = page;
-        // Task 4: Check for arrows behavior on first, last and middle pages
-        this._updateArrows();
-        // Task 5: Add items to the list, if it's necessary
-        this._loadAsyncItems();
+        this._layer.show();
 
         /**
-         * Event emitted when the component moves to another page.
-         * @event ch.Carousel#select
+         * Event emitted when a datepicker is shown.
+         * @event ch.Datepicker#show
+         * @example
+         * // Subscribe to "show" event.
+         * datepicker.on('show', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('show');
+
+        return this;
+    };
+
+    /**
+     * Hides the datepicker.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {datepicker}
+     * @example
+     * // Shows a datepicker.
+     * datepicker.hide();
+     */
+    Datepicker.prototype.hide = function () {
+        this._layer.hide();
+
+        /**
+         * Event emitted when a datepicker is hidden.
+         * @event ch.Datepicker#hide
+         * @example
+         * // Subscribe to "hide" event.
+         * datepicker.on('hide', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('hide');
+
+        return this;
+    };
+
+    /**
+     * Selects a specific day into current month and year.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @private
+     * @param {(String | Number)} day A given day to select.
+     * @returns {datepicker}
+     * @example
+     * // Select a specific day.
+     * datepicker.pick(28);
+     */
+    Datepicker.prototype.pick = function (day) {
+
+        // Select the day and update input value with selected date
+        this.field.value = [this._calendar._dates.current.year, this._calendar._dates.current.month, day].join('/');
+
+        // Select a date, which hides the float
+        this.select(this.field.value);
+
+        return this;
+    };
+
+    /**
+     * Selects a specific date or returns the selected date.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @param {String} [date] A given date to select. The format of the given date should be "YYYY/MM/DD".
+     * @returns {(datepicker | String)}
+     * @example
+     * // Returns the selected date.
+     * datepicker.select();
+     * @example
+     * // Select a specific date.
+     * datepicker.select('2014/05/28');
+     */
+    Datepicker.prototype.select = function (date) {
+
+       // Setter
+       // Select the day and update input value with selected date
+        if (date) {
+            this._calendar.select(date);
+
+            return this;
+        }
+
+        // Getter
+        return this._calendar.select();
+    };
+
+    /**
+     * Selects a range of dates or returns the selected range.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @param {String} [start] The start of the range. The format of the given date should be "YYYY/MM/DD".
+     * @param {String} [end] The end of the range. The format of the given date should be "YYYY/MM/DD".
+     * @returns {(datepicker | Array)}
+     * @example
+     * // Returns the selected range.
+     * datepicker.selectRange();
+     * @example
+     * // Select a range.
+     * datepicker.selectRange('2014/05/28', '2014/06/02');
+     */
+    Datepicker.prototype.selectRange = function (start, end) {
+        // Getter
+        if (start === undefined) {
+            return this._calendar.selectRange();
+        }
+
+        // Setter
+        this._calendar.selectRange(start, end);
+
+        return this;
+    };
+
+    /**
+     * Selects a time or returns the selected time.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @param {String} [time] A given time to select, with the format "HH:mm".
+     * @returns {(datepicker | String)}
+     * @example
+     * // Returns the selected time.
+     * datepicker.selectTime();
+     * @example
+     * // Select a specific time.
+     * datepicker.selectTime('14:30');
+     */
+    Datepicker.prototype.selectTime = function (time) {
+        // Getter
+        if (time === undefined) {
+            return this._calendar.selectTime();
+        }
+
+        // Setter
+        this._calendar.selectTime(time);
+
+        return this;
+    };
+
+    /**
+     * Returns the selected date as an ISO 8601 string, with the time and the time zone offset when a time is selected.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {String}
+     * @example
+     * // Returns the selected date, such as "2014-05-28T14:30:00-03:00".
+     * datepicker.getISOString();
+     */
+    Datepicker.prototype.getISOString = function () {
+        return this._calendar.getISOString();
+    };
+
+    /**
+     * Returns date of today
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {String} The date of today
+     * @example
+     * // Get the date of today.
+     * var today = datepicker.getToday();
+     */
+    Datepicker.prototype.getToday = function () {
+        return this._calendar.getToday();
+    };
+
+    /**
+     * Moves to the next month.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {datepicker}
+     * @example
+     * // Moves to the next month.
+     * datepicker.nextMonth();
+     */
+    Datepicker.prototype.nextMonth = function () {
+        this._calendar.nextMonth();
+
+        /**
+         * Event emitted when a next month is shown.
+         * @event ch.Datepicker#nextmonth
+         * @example
+         * // Subscribe to "nextmonth" event.
+         * datepicker.on('nextmonth', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('nextmonth');
+
+        return this;
+    };
+
+    /**
+     * Move to the previous month.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {datepicker}
+     * @example
+     * // Moves to the prev month.
+     * datepicker.prevMonth();
+     */
+    Datepicker.prototype.prevMonth = function () {
+
+        this._calendar.prevMonth();
+
+        /**
+         * Event emitted when a previous month is shown.
+         * @event ch.Datepicker#prevmonth
+         * @example
+         * // Subscribe to "prevmonth" event.
+         * datepicker.on('prevmonth', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('prevmonth');
+
+        return this;
+    };
+
+    /**
+     * Move to the next year.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {datepicker}
+     * @example
+     * // Moves to the next year.
+     * datepicker.nextYear();
+     */
+    Datepicker.prototype.nextYear = function () {
+
+        this._calendar.nextYear();
+
+        /**
+         * Event emitted when a next year is shown.
+         * @event ch.Datepicker#nextyear
+         * @example
+         * // Subscribe to "nextyear" event.
+         * datepicker.on('nextyear', function () {
+         *     // Some code here!
+         * });
+         */
+        this.emit('nextyear');
+
+        return this;
+    };
+
+    /**
+     * Move to the previous year.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {datepicker}
+     * @example
+     * // Moves to the prev year.
+     * datepicker.prevYear();
+     */
+    Datepicker.prototype.prevYear = function () {
+
+        this._calendar.prevYear();
+
+        /**
+         * Event emitted when a previous year is shown.
+         * @event ch.Datepicker#prevyear
          * @example
-         * // Subscribe to "select" event.
-         * carousel.on('select', function () {
-         *     alert('Carousel was moved.');
+         * // Subscribe to "prevyear" event.
+         * datepicker.on('prevyear', function () {
+         *     // Some code here!
          * });
          */
-        this.emit('select');
+        this.emit('prevyear');
 
         return this;
     };
 
     /**
-     * Moves the list to the previous page.
-     * @memberof! ch.Carousel.prototype
+     * Reset the Datepicker to date of today
+     * @memberof! ch.Datepicker.prototype
      * @function
-     * @returns {carousel}
+     * @returns {datepicker}
+     * @example
+     * // Resset the datepicker
+     * datepicker.reset();
      */
-    Carousel.prototype.prev = function () {
+    Datepicker.prototype.reset = function () {
 
-        this.select(this._currentPage - 1);
+        // Delete input value
+        this.field.value = '';
+        this._calendar.reset();
 
         /**
-         * Event emitted when the component moves to the previous page.
-         * @event ch.Carousel#prev
+         * Event emitter when the datepicker is reseted.
+         * @event ch.Datepicker#reset
          * @example
-         * carousel.on('prev', function () {
-         *     alert('Carousel has moved to the previous page.');
+         * // Subscribe to "reset" event.
+         * datepicker.on('reset', function () {
+         *     // Some code here!
          * });
          */
-        this.emit('prev');
+        this.emit('reset');
 
         return this;
     };
 
     /**
-     * Moves the list to the next page.
-     * @memberof! ch.Carousel.prototype
+     * Set a minimum selectable date.
+     * @memberof! ch.Datepicker.prototype
      * @function
-     * @returns {carousel}
+     * @param {String} date A given date to set as minimum selectable date. The format of the given date should be "YYYY/MM/DD".
+     * @returns {datepicker}
+     * @example
+     * // Set a minimum selectable date.
+     * datepicker.setFrom('2010/05/28');
      */
-    Carousel.prototype.next = function () {
+    Datepicker.prototype.setFrom = function (date) {
+        this._calendar.setFrom(date);
 
-        this.select(this._currentPage + 1);
+        return this;
+    };
 
-        /**
-         * Event emitted when the component moves to the next page.
-         * @event ch.Carousel#next
-         * @example
-         * carousel.on('next', function () {
-         *     alert('Carousel has moved to the next page.');
-         * });
-         */
-        this.emit('next');
+    /**
+     * Set a maximum selectable date.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @param {String} date A given date to set as maximum selectable date. The format of the given date should be "YYYY/MM/DD".
+     * @returns {datepicker}
+     * @example
+     * // Set a maximum selectable date.
+     * datepicker.setTo('2014/05/28');
+     */
+    Datepicker.prototype.setTo = function (date) {
+        this._calendar.setTo(date);
 
         return this;
     };
 
     /**
-     * Enables a Carousel instance.
-     * @memberof! ch.Carousel.prototype
+     * Enables an instance of Datepicker.
+     * @memberof! ch.Datepicker.prototype
      * @function
-     * @returns {carousel}
+     * @returns {datepicker} Returns an instance of Datepicker.
+     * @example
+     * // Enabling an instance of Datepicker.
+     * datepicker.enable();
      */
-    Carousel.prototype.enable = function () {
 
-        this._el.setAttribute('aria-disabled', false);
+    /**
+     * Disables an instance of Datepicker.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @returns {datepicker} Returns an instance of Datepicker.
+     * @example
+     * // Disabling an instance of Datepicker.
+     * datepicker.disable();
+     */
+    while (len) {
+        createMethods(methods[len -= 1]);
+    }
 
-        this._disableArrows(false, false);
+    /**
+     * Destroys a Datepicker instance.
+     * @memberof! ch.Datepicker.prototype
+     * @function
+     * @example
+     * // Destroying an instance of Datepicker.
+     * datepicker.destroy();
+     */
+    Datepicker.prototype.destroy = function () {
 
-        parent.enable.call(this);
+        tiny.parent(this.trigger).removeChild(this.trigger);
 
-        return this;
+        this._el.removeAttribute('aria-describedby');
+        this._el.type = 'date';
+
+        if (this.endField !== undefined) {
+            this.endField.removeAttribute('aria-describedby');
+            this.endField.type = 'date';
+        }
+
+        if (this._mediaQuery !== undefined) {
+            this._mediaQuery.removeListener(this._mediaListener);
+        }
+
+        if (this._native) {
+            this._setNative(false);
+            this._el.type = 'date';
+        }
+
+        if (this._sheet !== undefined) {
+            this.field.readOnly = false;
+            this._sheet.destroy();
+        }
+
+        this._popover.destroy();
+
+        parent.destroy.call(this);
+
+        ch.Validation._removeCondition(this, 'date');
     };
 
+    // Factorize
+    ch.factory(Datepicker);
+
+}(this, this.ch));
+
+(function (Validation, ch) {
+    'use strict';
+
     /**
-     * Disables a Carousel instance.
-     * @memberof! ch.Carousel.prototype
+     * Merges the collection of conditions with a given conditions. Conditions without a message take it from the locale given on the "locale" option, if any.
      * @function
-     * @returns {carousel}
+     * @private
      */
-    Carousel.prototype.disable = function () {
+    Validation.prototype._mergeConditions = function (conditions) {
+        var messages = (this._options.locale !== undefined) ? ch.locale(this._options.locale).messages : {},
+            condition,
+            i = 0,
+            j = conditions.length;
 
-        this._el.setAttribute('aria-disabled', true);
+        for (i; i < j; i += 1) {
+            condition = conditions[i];
 
-        this._disableArrows(true, true);
+            if (condition.message === undefined && messages[condition.name] !== undefined) {
+                condition = tiny.extend({}, condition, {'message': messages[condition.name]});
+            }
 
-        parent.disable.call(this);
+            this.conditions[condition.name] = new ch.Condition(condition);
+        }
 
         return this;
     };
 
     /**
-     * Destroys a Carousel instance.
-     * @memberof! ch.Carousel.prototype
+     * Adds the condition of a component to the ch.Validation of its form control, or creates one that the component owns.
+     * @memberof! ch.Validation
      * @function
+     * @private
+     * @param {Object} component The component that validates its form control.
+     * @param {Object} condition The condition to add.
      */
-    Carousel.prototype.destroy = function () {
-
-        this._el.parentNode.replaceChild(this._snippet, this._el);
+    Validation._addCondition = function (component, condition) {
+        var key;
+
+        for (key in ch.instances) {
+            if (ch.instances.hasOwnProperty(key) && ch.instances[key].name === 'validation' && ch.instances[key].trigger === component._el) {
+                /**
+                 * The ch.Validation of the form control.
+                 * @type {validation}
+                 * @private
+                 */
+                component._validation = ch.instances[key];
+            }
+        }
 
-        tiny.trigger(window.document, ch.onlayoutchange);
+        if (component._validation === undefined) {
+            component._validation = new Validation(component._el, {
+                'conditions': [condition]
+            });
 
-        parent.destroy.call(this);
+            /**
+             * Defines if the ch.Validation was created by the component, to destroy it with the component.
+             * @type {Boolean}
+             * @private
+             */
+            component._ownValidation = true;
 
-        return;
+        } else {
+            component._validation._mergeConditions([condition]);
+        }
     };
 
-    ch.factory(Carousel);
+    /**
+     * Removes the condition added by a destroyed component. An owned ch.Validation is destroyed, and any other gets back the "data-uid" of the form control.
+     * @memberof! ch.Validation
+     * @function
+     * @private
+     * @param {Object} component The destroyed component.
+     * @param {String} name The name of the condition.
+     */
+    Validation._removeCondition = function (component, name) {
+        var validation = component._validation;
 
-}(this, this.ch));
+        // The form control keeps only the last "data-uid", so the component could still be in the instances
+        delete ch.instances[component.uid];
 
-(function (window, ch) {
-    'use strict';
+        if (validation === undefined) {
+            return;
+        }
 
-    function normalizeOptions(options) {
-        var num = window.parseInt(options, 10);
+        if (component._ownValidation) {
+            delete ch.instances[validation.uid];
+            validation.destroy();
 
-        if (!window.isNaN(num)) {
-            options = {
-                'max': num
-            };
+        } else if (ch.instances[validation.uid] === validation) {
+            delete validation.conditions[name];
+            validation.trigger.setAttribute('data-uid', validation.uid);
         }
+    };
 
-        return options;
-    }
+}(this.ch.Validation, this.ch));
+
+(function (window, ch) {
+    'use strict';
 
     /**
-     * Countdown counts the maximum of characters that user can enter in a form control. Countdown could limit the possibility to continue inserting charset.
+     * Pattern of the contents that are loaded by ajax.
+     * @type {RegExp}
+     * @private
+     */
+    var URL_PATTERN = /^(((https|http|ftp|file):\/\/)|www\.|\.\/|(\.\.\/)+|(\/{1,2})|(\d{1,3}\.){3}\d{1,3})(((\w+|-)(\.?)(\/?))+)(\:\d{1,5}){0,1}(((\w+|-)(\.?)(\/?)(#?))+)((\?)(\w+=(\w?)+(&?))+)?(\w+#\w+)?$/,
+
+        /**
+         * Methods whose responses can be kept.
+         * @type {Array}
+         * @private
+         */
+        CACHEABLE_METHODS = ['GET', 'HEAD'];
+
+    /**
+     * Keeps the remote contents of the components by URL, so each URL is requested once by every component that shows it.
+     * A kept content is used until its time to live ends. After that, it's still shown while it's requested again (stale-while-revalidate).
      * @memberof ch
      * @constructor
-     * @augments ch.Component
-     * @param {HTMLElement} el A HTMLElement to create an instance of ch.Countdown.
-     * @param {Object} [options] Options to customize an instance.
-     * @param {Number} [options.max] Number of the maximum amount of characters user can input in form control. Default: 500.
-     * @param {String} [options.plural] Message of remaining amount of characters, when it's different to 1. The variable that represents the number to be replaced, should be a hash. Default: "# characters left.".
-     * @param {String} [options.singular] Message of remaining amount of characters, when it's only 1. The variable that represents the number to be replaced, should be a hash. Default: "# character left.".
-     * @returns {countdown} Returns a new instance of Countdown.
-     * @example
-     * // Create a new Countdown.
-     * var countdown = new ch.Countdown([el], [options]);
-     * @example
-     * // Create a new Countdown with custom options.
-     * var countdown = new ch.Countdown({
-     *     'max': 250,
-     *     'plural': 'Left: # characters.',
-     *     'singular': 'Left: # character.'
-     * });
-     * @example
-     * // Create a new Countdown using the shorthand way (max as parameter).
-     * var countdown = new ch.Countdown({'max': 500});
+     * @augments tiny.EventEmitter
      */
-    function Countdown(el, options) {
+    function ContentCache() {
+        this.setMaxListeners(0);
 
         /**
-         * Reference to context of an instance.
+         * The kept contents by key.
          * @type {Object}
          * @private
          */
-        var that = this;
+        this._entries = {};
 
-        this._init(el, options);
+        /**
+         * The requests in progress.
+         * @type {Array}
+         * @private
+         */
+        this._requests = [];
+    }
+
+    tiny.inherits(ContentCache, tiny.EventEmitter);
+
+    /**
+     * The time to live of the contents, in milliseconds, when the request doesn't set its own "ttl".
+     * @memberof! ch.ContentCache.prototype
+     * @type {Number}
+     * @example
+     * // Keep the contents for a minute.
+     * ch.contentCache.ttl = 60000;
+     */
+    ContentCache.prototype.ttl = 300000;
+
+    /**
+     * Returns the key of a given URL and options.
+     * @function
+     * @private
+     * @returns {String}
+     */
+    ContentCache.prototype._key = function (url, options) {
+        return (options.method || 'GET').toUpperCase() + ' ' + url;
+    };
+
+    /**
+     * Checks if the response of a given request can be kept: only GET and HEAD requests without "cache": false.
+     * @function
+     * @private
+     * @returns {Boolean}
+     */
+    ContentCache.prototype._isCacheable = function (options) {
+        return options.cache !== false && CACHEABLE_METHODS.indexOf((options.method || 'GET').toUpperCase()) !== -1;
+    };
+
+    /**
+     * Requests a given URL, keeping its response under a given key. The key is null when the response can't be kept.
+     * @function
+     * @private
+     * @returns {Object} The request, with its promise, its AbortController and the owners waiting for it.
+     */
+    ContentCache.prototype._request = function (url, options, key) {
+        var that = this,
+            method = (options.method || 'GET').toUpperCase(),
+            body = (CACHEABLE_METHODS.indexOf(method) === -1 && options.params) ? options.params : undefined,
+            headers = {'X-Requested-With': 'XMLHttpRequest'},
+            request = {
+                'key': key,
+                'controller': (window.AbortController !== undefined) ? new window.AbortController() : undefined,
+                'owners': []
+            };
+
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/x-www-form-urlencoded; charset=UTF-8';
+        }
+
+        request.promise = window.fetch(url, {
+            'method': method,
+            'body': body,
+            'headers': headers,
+            'cache': (options.cache === false) ? 'no-store' : 'default',
+            'credentials': 'same-origin',
+            'signal': request.controller && request.controller.signal
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new window.Error('ch.Content: The content responded with the status ' + response.status + '.');
+            }
+
+            return response.text();
+
+        }).then(function (response) {
+            var revalidated = key !== null && that._entries[key] !== undefined;
+
+            that._finish(request);
+
+            if (key !== null) {
+                that._entries[key] = {
+                    'response': response,
+                    'expires': Date.now() + ((options.ttl !== undefined) ? options.ttl : that.ttl)
+                };
+            }
 
-        if (this.initialize !== undefined) {
             /**
-             * If you define an initialize method, it will be executed when a new Countdown is created.
-             * @memberof! ch.Countdown.prototype
-             * @function
+             * Event emitted when a kept content is requested again because its time to live ended.
+             * @event ch.ContentCache#revalidate
+             * @param {String} key The method and the URL of the content.
+             * @param {String} response The new content.
+             * @example
+             * // Subscribe to "revalidate" event.
+             * ch.contentCache.on('revalidate', function (key, response) {
+             *     // Some code here!
+             * });
              */
-            this.initialize();
+            if (revalidated) {
+                that.emit('revalidate', key, response);
+            }
+
+            return response;
+
+        }, function (error) {
+            that._finish(request);
+
+            throw error;
+        });
+
+        // Revalidations and prefetches fail without anyone waiting for them
+        request.promise.catch(function () {});
+
+        this._requests.push(request);
+
+        return request;
+    };
+
+    /**
+     * Forgets a given request once it's finished or aborted.
+     * @function
+     * @private
+     */
+    ContentCache.prototype._finish = function (request) {
+        var index = this._requests.indexOf(request);
+
+        if (index !== -1) {
+            this._requests.splice(index, 1);
         }
 
-        /**
-         * Event emitted when the component is ready to use.
-         * @event ch.Countdown#ready
-         * @example
-         * // Subscribe to "ready" event.
-         * countdown.on('ready', function () {
-         *     // Some code here!
-         * });
-         */
-        window.setTimeout(function () { that.emit('ready'); }, 50);
-    }
+        return this;
+    };
+
+    /**
+     * Returns the kept content of a given URL, even if its time to live ended, or undefined.
+     * @memberof! ch.ContentCache.prototype
+     * @function
+     * @param {String} url The URL of the content.
+     * @param {Object} [options] The options of the request.
+     * @param {String} [options.method] The method of the request. Default: "GET".
+     * @returns {String}
+     * @example
+     * // Get a kept content.
+     * ch.contentCache.get('./static/ajax.html');
+     */
+    ContentCache.prototype.get = function (url, options) {
+        var entry = this._entries[this._key(url, options || {})];
+
+        return (entry !== undefined) ? entry.response : undefined;
+    };
+
+    /**
+     * Checks if the content of a given URL is kept and its time to live didn't end.
+     * @memberof! ch.ContentCache.prototype
+     * @function
+     * @param {String} url The URL of the content.
+     * @param {Object} [options] The options of the request.
+     * @param {String} [options.method] The method of the request. Default: "GET".
+     * @returns {Boolean}
+     */
+    ContentCache.prototype.isFresh = function (url, options) {
+        var entry = this._entries[this._key(url, options || {})];
+
+        return entry !== undefined && entry.expires > Date.now();
+    };
+
+    /**
+     * Loads the content of a given URL. A kept content is given right away, and it's requested again if its time to live ended.
+     * Every component that loads the same URL at the same time shares the request.
+     * @memberof! ch.ContentCache.prototype
+     * @function
+     * @param {String} url The URL of the content.
+     * @param {Object} [options] The options of the request.
+     * @param {String} [options.method] The method of the request. Only the GET and HEAD responses are kept. Default: "GET".
+     * @param {String} [options.params] The body of the request, for methods other than GET and HEAD.
+     * @param {Boolean} [options.cache] Use false to request the content each time, without keeping it. Default: true.
+     * @param {Number} [options.ttl] The time to live of the content, in milliseconds. Default: ch.contentCache.ttl.
+     * @param {Object} [owner] The component waiting for the content. Its requests are aborted with ch.ContentCache#abort.
+     * @returns {Promise} A promise of the content.
+     * @example
+     * // Load a content.
+     * ch.contentCache.load('./static/ajax.html', {'ttl': 60000}).then(function (content) {
+     *     // Some code here!
+     * });
+     */
+    ContentCache.prototype.load = function (url, options, owner) {
+        var key,
+            entry,
+            request;
+
+        options = options || {};
+
+        if (!this._isCacheable(options)) {
+            request = this._request(url, options, null);
+            request.owners.push(owner || this);
+
+            return request.promise;
+        }
+
+        key = this._key(url, options);
+        entry = this._entries[key];
+
+        if (entry !== undefined && entry.expires > Date.now()) {
+            return window.Promise.resolve(entry.response);
+        }
+
+        // Share the request in progress
+        request = this._requests.filter(function (item) {
+            return item.key === key;
+        })[0] || this._request(url, options, key);
 
-    // Inheritance
-    tiny.inherits(Countdown, ch.Component);
+        // Requests without an owner can't be aborted, and an owner waits once for each request
+        owner = owner || this;
 
-    var parent = Countdown.super_.prototype;
+        if (request.owners.indexOf(owner) === -1) {
+            request.owners.push(owner);
+        }
+
+        return (entry !== undefined) ? window.Promise.resolve(entry.response) : request.promise;
+    };
 
     /**
-     * The name of the component.
-     * @memberof! ch.Countdown.prototype
-     * @type {String}
+     * Loads the content of a given URL to keep it, without waiting for it. The responses that can't be kept aren't requested.
+     * @memberof! ch.ContentCache.prototype
+     * @function
+     * @param {String} url The URL of the content.
+     * @param {Object} [options] The options of the request. See ch.ContentCache#load.
+     * @param {Object} [owner] The component that prefetches the content.
+     * @returns {contentCache}
+     * @example
+     * // Prefetch a content.
+     * ch.contentCache.prefetch('./static/ajax.html');
      */
-    Countdown.prototype.name = 'countdown';
+    ContentCache.prototype.prefetch = function (url, options, owner) {
+        options = options || {};
+
+        if (this._isCacheable(options)) {
+            this.load(url, options, owner).catch(function () {});
+        }
+
+        return this;
+    };
 
     /**
-     * Returns a reference to the constructor function.
-     * @memberof! ch.Countdown.prototype
+     * Stops waiting for the requests of a given owner, aborting the ones that nobody else waits for.
+     * @memberof! ch.ContentCache.prototype
      * @function
+     * @param {Object} owner The component that loaded the contents.
+     * @returns {contentCache}
+     * @example
+     * // Abort the requests of a component.
+     * ch.contentCache.abort(expandable);
      */
-    Countdown.prototype.constructor = Countdown;
+    ContentCache.prototype.abort = function (owner) {
+        var that = this;
+
+        this._requests.slice().forEach(function (request) {
+            var index = request.owners.indexOf(owner);
+
+            if (index === -1) {
+                return;
+            }
+
+            request.owners.splice(index, 1);
+
+            if (request.owners.length === 0) {
+                that._finish(request);
+
+                if (request.controller !== undefined) {
+                    request.controller.abort();
+                }
+            }
+        });
+
+        return this;
+    };
 
     /**
-     * Configuration by default.
-     * @type {Object}
-     * @private
+     * Forgets the kept content of a given URL.
+     * @memberof! ch.ContentCache.prototype
+     * @function
+     * @param {String} url The URL of the content.
+     * @param {Object} [options] The options of the request.
+     * @param {String} [options.method] The method of the request. Default: "GET".
+     * @returns {contentCache}
+     * @example
+     * // Forget a content.
+     * ch.contentCache.remove('./static/ajax.html');
      */
-    Countdown.prototype._defaults = {
-        'plural': '# characters left.',
-        'singular': '# character left.',
-        'max': 500
+    ContentCache.prototype.remove = function (url, options) {
+        delete this._entries[this._key(url, options || {})];
+
+        return this;
     };
 
     /**
-     * Initialize a new instance of Countdown and merge custom options with defaults options.
-     * @memberof! ch.Countdown.prototype
+     * Forgets all the kept contents.
+     * @memberof! ch.ContentCache.prototype
      * @function
-     * @private
-     * @returns {countdown}
+     * @returns {contentCache}
+     * @example
+     * // Forget all the contents.
+     * ch.contentCache.clear();
      */
-    Countdown.prototype._init = function (el, options) {
-        // Call to its parent init method
-        parent._init.call(this, el, options);
+    ContentCache.prototype.clear = function () {
+        this._entries = {};
+
+        return this;
+    };
+
+    // Creates an instance of the ContentCache into ch namespace.
+    ch.contentCache = new ContentCache();
+
+    /**
+     * Add a function to manage components content. The remote contents are loaded through ch.contentCache, shared by Expandable, Layer, Modal, Popover and Tabs.
+     * It uses these options of the component:
+     * "ttl": the time to live of the remote content, in milliseconds. Default: ch.contentCache.ttl.
+     * "prefetch": requests the remote content when the pointer enters the trigger or it gets the focus. Default: true.
+     * "errorText" and "retryText": the message shown when the content fails and the text of the button that requests it again. Default: the "loadError" and "retry" messages of the locale.
+     * "locale": the name of the locale of those texts, as given to ch.locale. Default: "es".
+     * @memberOf ch
+     * @mixin
+     * @returns {Function}
+     */
+    function Content() {
 
         /**
          * Reference to context of an instance.
@@ -1146,209 +9068,367 @@
          * @private
          */
         var that = this,
+            defaults = {
+                'method': this._options.method,
+                'params': this._options.params,
+                'cache': this._options.cache,
+                'waiting': this._options.waiting,
+                'ttl': this._options.ttl
+            },
+            // The remote content in use, with its URL and options
+            current = null,
+            listening = false;
+
+        /**
+         * Set async content into component's container and emits the current event.
+         * @private
+         */
+        function setAsyncContent(event) {
+
+            that._content.innerHTML = event.response;
 
             /**
-             * Create the "id" attribute.
-             * @type {String}
+             * Event emitted when the content change.
+             * @event ch.Content#contentchange
              * @private
              */
-            messageID = 'ch-countdown-message-' + that.uid,
+            that.emit('_contentchange');
 
-           /**
-             * Singular or Plural message depending on amount of remaining characters.
-             * @type {String}
+            /**
+             * Event emitted if the content is loaded successfully.
+             * @event ch.Content#contentdone
+             * @ignore
+             */
+
+            /**
+             * Event emitted when the content is loading.
+             * @event ch.Content#contentwaiting
+             * @example
+             * // Subscribe to "contentwaiting" event.
+             * component.on('contentwaiting', function (event) {
+             *     // Some code here!
+             * });
+             */
+
+            /**
+             * Event emitted if the content isn't loaded successfully.
+             * @event ch.Content#contenterror
+             * @example
+             * // Subscribe to "contenterror" event.
+             * component.on('contenterror', function (event) {
+             *     // Some code here!
+             * });
+             */
+
+            that.emit('content' + event.status, event);
+        }
+
+        /**
+         * Set content into component's container and emits the contentdone event.
+         * @private
+         */
+        function setContent(content) {
+
+            current = null;
+
+            if (content.nodeType !== undefined) {
+                that._content.innerHTML = '';
+                that._content.appendChild(content);
+            } else {
+                that._content.innerHTML = content;
+            }
+
+
+            that._options.cache = true;
+
+            /**
+             * Event emitted when the content change.
+             * @event ch.Content#contentchange
              * @private
              */
-            message;
+            that.emit('_contentchange');
+
+            /**
+             * Event emitted if the content is loaded successfully.
+             * @event ch.Content#contentdone
+             * @example
+             * // Subscribe to "contentdone" event.
+             * component.on('contentdone', function (event) {
+             *     // Some code here!
+             * });
+             */
+            that.emit('contentdone');
+        }
 
         /**
-         * The countdown trigger.
-         * @type {HTMLTextAreaElement}
-         * @example
-         * // Gets the countdown trigger.
-         * countdown.trigger;
+         * Shows the content of the URL in use when ch.contentCache gets it again.
+         * @private
          */
-        this.trigger = this._el;
-        'keyup keypress keydown input paste cut'.split(' ')
-            .forEach(function(name) {
-                tiny.on(that.trigger, name, function () { that._count(); });
-            });
+        function revalidate(key, response) {
+            if (current !== null && ch.contentCache._key(current.url, current.options) === key) {
+                setAsyncContent({
+                    'status': 'done',
+                    'response': response
+                });
+            }
+        }
 
         /**
-         * Amount of free characters until full the field.
-         * @type {Number}
+         * Merges the options of a request with the defaults, and adds the params of GET and HEAD requests to the URL.
          * @private
+         * @returns {Object}
          */
-        that._remaining = that._options.max - that._contentLength();
+        function createRequest(url, options) {
+            options = tiny.extend({
+                'method': 'GET',
+                'params': '',
+                'waiting': '<div class="ch-loading-large"></div>'
+            }, defaults, options);
+
+            if (options.params && CACHEABLE_METHODS.indexOf(options.method.toUpperCase()) !== -1) {
+                url += (url.indexOf('?') !== -1 || options.params[0] === '?' ? '' : '?') + options.params;
+            }
 
-        // Update the message
-        message = ((that._remaining === 1) ? that._options.singular : that._options.plural);
+            return {
+                'url': url,
+                'options': options
+            };
+        }
 
         /**
-         * The countdown container.
-         * @type {HTMLParagraphElement}
+         * Get async content with given URL.
+         * @private
          */
-        that.container = (function () {
-            var parent = tiny.parent(that._el);
-            parent.insertAdjacentHTML('beforeend', '<span class="ch-countdown ch-form-hint" id="' + messageID + '">' + message.replace('#', that._remaining) + '</span>');
+        function getAsyncContent(url, options) {
+            var request = createRequest(url, options),
+                cached = ch.contentCache.get(request.url, request.options);
 
-            return parent.querySelector('#' + messageID);
-        }());
+            if (request.options.cache !== undefined) {
+                that._options.cache = request.options.cache;
+            }
 
-        this.on('disable', this._removeError);
+            current = request;
 
-        return this;
-    };
+            if (!listening) {
+                ch.contentCache.on('revalidate', revalidate);
+                listening = true;
+            }
 
-    /**
-     * Returns the length of value.
-     * @function
-     * @private
-     * @returns {Number}
-     */
-    Countdown.prototype._contentLength = function () {
-        return this._el.value.length;
-    };
+            // A kept content is shown right away, even while it's requested again
+            if (cached !== undefined && that._options.cache !== false) {
+                setAsyncContent({
+                    'status': 'done',
+                    'response': cached
+                });
+            } else {
+                // Set loading
+                setAsyncContent({
+                    'status': 'waiting',
+                    'response': request.options.waiting
+                });
+            }
 
-    /**
-     * Process input of data on form control and updates remaining amount of characters or limits the content length. Also, change the visible message of remaining characters.
-     * @function
-     * @private
-     * @returns {countdown}
-     */
-    Countdown.prototype._count = function () {
+            ch.contentCache.load(request.url, request.options, that).then(function (response) {
+                // Another content was set meanwhile
+                if (current !== request || response === cached) {
+                    return;
+                }
 
-        if (!this._enabled) {
-            return this;
+                setAsyncContent({
+                    'status': 'done',
+                    'response': response
+                });
+
+            }, function (error) {
+                var retry;
+
+                if (current !== request) {
+                    return;
+                }
+
+                setAsyncContent({
+                    'status': 'error',
+                    'response': '<p class="ch-content-error">' + (that._options.errorText || ch.locale.message(that._options.locale, 'loadError')) + ' <button type="button" class="ch-content-retry ch-btn-skin ch-btn-small">' + (that._options.retryText || ch.locale.message(that._options.locale, 'retry')) + '</button></p>',
+                    'data': error.message
+                });
+
+                retry = that._content.querySelector('.ch-content-retry');
+
+                if (retry !== null) {
+                    tiny.on(retry, ch.onpointertap, function () {
+                        getAsyncContent(url, options);
+                    });
+                }
+            });
         }
 
-        var length = this._contentLength(),
-            message;
+        /**
+         * Requests the remote content before it's shown, when the user is about to show it.
+         * @private
+         */
+        function prefetch() {
+            var content = that._options.content,
+                request;
 
-        this._remaining = this._options.max - length;
+            if (typeof content !== 'string' || !URL_PATTERN.test(content) || that._options.cache === false) {
+                return;
+            }
 
-        // Limit Count alert the user
-        if (length <= this._options.max) {
+            request = createRequest(content.replace(/#.+/, ''));
+            ch.contentCache.prefetch(request.url, request.options, that);
+        }
 
-            if (this._exceeded) {
-                // Update exceeded flag
-                this._exceeded = false;
-                this._removeError();
+        /**
+         * Allows to manage the components content.
+         * @function
+         * @memberof! ch.Content#
+         * @param {(String | HTMLElement)} content The content that will be used by a component.
+         * @param {Object} [options] A custom options to be used with content loaded by ajax.
+         * @param {String} [options.method] The type of request ("POST" or "GET") to load content by ajax. Default: "GET".
+         * @param {String} [options.params] Params like query string to be sent to the server.
+         * @param {Boolean} [options.cache] Keeps the content in ch.contentCache, loading it once. false value requests it in each show, and will work only with HEAD and GET requests. Default: true.
+         * @param {Number} [options.ttl] The time to live of the content in ch.contentCache, in milliseconds. Default: ch.contentCache.ttl.
+         * @param {(String | HTMLElement)} [options.waiting] Temporary content to use while the ajax request is loading.
+         * @example
+         * // Update content with some string.
+         * component.content('Some new content here!');
+         * @example
+         * // Update content that will be loaded by ajax with custom options.
+         * component.content('http://chico-ui.com.ar/ajax', {
+         *     'cache': false,
+         *     'params': 'x-request=true'
+         * });
+         */
+        this.content = function (content, options) {
+            var parent;
+
+            // Returns the last updated content.
+            if (content === undefined) {
+                return that._content.innerHTML;
             }
 
-        } else if (length > this._options.max) {
+            that._options.content = content;
 
-            /**
-             * Event emitted when the lenght of characters is exceeded.
-             * @event ch.Countdown#exceed
-             * @example
-             * // Subscribe to "exceed" event.
-             * countdown.on('exceed', function () {
-             *     // Some code here!
-             * });
-             */
-            this.emit('exceed');
+            if (that._options.cache === undefined) {
+                that._options.cache = true;
+            }
 
-            // Update exceeded flag
-            this._exceeded = true;
+            if (typeof content === 'string') {
+                // Case 1: AJAX call
+                if (URL_PATTERN.test(content)) {
+                    getAsyncContent(content.replace(/#.+/, ''), options);
+                // Case 2: Plain text
+                } else {
+                    setContent(content);
+                }
+            // Case 3: HTML Element
+            } else if (content.nodeType !== undefined) {
 
-            this.trigger.setAttribute('aria-invalid', 'true');
-            tiny.addClass(this.trigger, 'ch-validation-error');
+                tiny.removeClass(content, 'ch-hide');
+                parent = tiny.parent(content);
 
-            tiny.addClass(this.container, 'ch-countdown-exceeded');
-        }
+                setContent(content);
 
-        // Change visible message of remaining characters
-        // Singular or Plural message depending on amount of remaining characters
-        message = (this._remaining !== 1 ? this._options.plural : this._options.singular).replace(/\#/g, this._remaining);
+                if (!that._options.cache) {
+                    parent.removeChild(content);
+                }
 
-        // Update DOM text
-        this.container.innerText  = message;
+            }
 
-        return this;
+            return that;
+        };
 
-    };
+        // Loads content once. If the cache is disabled the content loads in each show.
+        this.once('_show', function () {
 
-     /**
-     * Process input of data on form control and updates remaining amount of characters or limits the content length. Also, change the visible message of remaining characters.
-     * @function
-     * @private
-     * @returns {countdown}
-     */
-    Countdown.prototype._removeError = function () {
-        tiny.removeClass(this.trigger, 'ch-validation-error');
-        this.trigger.setAttribute('aria-invalid', 'false');
+            that.content(that._options.content);
 
-        tiny.removeClass(this.container, 'ch-countdown-exceeded');
+            that.on('show', function () {
+                if (!that._options.cache) {
+                    that.content(that._options.content);
 
-        return this;
-    };
+                // Request again the kept content when its time to live ended
+                } else if (current !== null && !ch.contentCache.isFresh(current.url, current.options)) {
+                    ch.contentCache.prefetch(current.url, current.options, that);
+                }
+            });
+        });
 
-    /**
-     * Destroys a Countdown instance.
-     * @memberof! ch.Countdown.prototype
-     * @function
-     * @example
-     * // Destroy a countdown
-     * countdown.destroy();
-     * // Empty the countdown reference
-     * countdown = undefined;
-     */
-    Countdown.prototype.destroy = function () {
-        var parentElement = tiny.parent(this.container);
-        parentElement.removeChild(this.container);
+        // Prefetch on intent. The trigger is set after the abilities
+        this.once('ready', function () {
+            if (that.trigger === undefined || that._options.prefetch === false) {
+                return;
+            }
 
-        tiny.trigger(window.document, ch.onlayoutchange);
+            tiny.on(that.trigger, ch.onpointerenter, prefetch);
+            tiny.on(that.trigger, 'focus', prefetch);
+        });
 
-        parent.destroy.call(this);
+        // Abort the requests nobody else waits for
+        this.once('destroy', function () {
+            current = null;
 
-        return;
-    };
+            if (that.trigger !== undefined) {
+                tiny.off(that.trigger, ch.onpointerenter, prefetch);
+                tiny.off(that.trigger, 'focus', prefetch);
+            }
 
-    // Factorize
-    ch.factory(Countdown, normalizeOptions);
+            ch.contentCache.abort(that);
+            ch.contentCache.removeListener('revalidate', revalidate);
+        });
+    }
 
-}(this, this.ch));
+    ch.Content = Content;
 
+}(this, this.ch));
 
 
 
 var carousel = new ch.Carousel(ch('.demo-carousel')[0], {
-    pagination: true
+    pagination: true,
+    autoplay: true
 });
 
 
         function qS(selector) { return document.querySelector(selector); };
 
-        var extraSuggestions = ['<ul>',
-            '<li class="ch-autocomplete-item" data-suggested="Static option">Static option</li>',
-            '<li class="ch-autocomplete-item" data-suggested="Other Static option">Other static option</li>',
-            '</ul>'].join('');
-
         function parseResults(results) {
-            var data = [];
+            var data = [
+                {'label': 'Static option', 'category': 'shortcuts'},
+                {'label': 'Other static option', 'value': 'Other Static option', 'category': 'shortcuts'}
+            ];
             if (results[2].suggested_queries !== undefined) {
                 results[2].suggested_queries.forEach(function (e, i) {
-                    data.push(e.q);
+                    data.push({'label': e.q, 'category': 'products'});
                 });
-
-                // Show suggestions
-                autocomplete.suggest(data);
             }
+
+            return data;
         }
 
-        var autocomplete = new ch.Autocomplete(qS('.autocomplete'), {wrapper: 'ch-autocomplete-wrapper'})
-                .on('type', function (userInput) {
-                    tiny.jsonp('http://suggestgz.mlapps.com/sites/MLA/autosuggest?q=' + userInput + '&v=1', {
-                        name: 'autocompleteSuggestion',
-                        success: parseResults,
-                        error: function(err) {
-                            autocomplete.suggest([]);
-                        }
+        var autocomplete = new ch.Autocomplete(qS('.autocomplete'), {
+            'wrapper': 'ch-autocomplete-wrapper',
+            'minChars': 2,
+            'source': function (query, signal) {
+                return new Promise(function (resolve, reject) {
+                    var cancel = tiny.jsonp('http://suggestgz.mlapps.com/sites/MLA/autosuggest?q=' + encodeURIComponent(query) + '&v=1', {
+                        success: resolve,
+                        error: reject
                     });
-                });
 
-        autocomplete.container.insertAdjacentHTML('beforeend', extraSuggestions);
+                    // The signal is undefined where AbortController isn't supported
+                    if (signal) {
+                        signal.addEventListener('abort', cancel);
+                    }
+                });
+            },
+            'parse': parseResults,
+            'history': 'search',
+            'groups': [
+                {'name': 'products', 'title': 'Products'},
+                {'name': 'shortcuts', 'title': 'Shortcuts'}
+            ]
+        });
 
         var calendar = new ch.Calendar(qS('.YOUR_SELECTOR_calendar'), {'selected': ['2012/01/22','2012/01/21']});
 
@@ -1578,11 +9658,17 @@ var carousel = new ch.Carousel(ch('.demo-carousel')[0], {
 
         var  datepicker2 = new ch.Datepicker(qS('#val_date2'), {
             'selected': '2011/11/15',
-            'to': 'today'
+            'to': 'today',
+            'locale': 'pt-BR'
         });
 
         // Countdown
-        var countdown = new ch.Countdown(qS('#text_cd'), {'max': 140, 'plural': '# left', 'singular': '# left'});
+        var countdown = new ch.Countdown(qS('#text_cd'), {
+            'max': 140,
+            'counter': 'urls',
+            'lineBreak': 2,
+            'message': '{count, plural, =0 {No characters left} one {# character left} other {# characters left}}'
+        });
 
         // Messages
         var message = (function (message, value) {